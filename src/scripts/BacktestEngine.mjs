@@ -0,0 +1,201 @@
+import { mainColumns } from './GameRegistry.mjs';
+import { toCurrentCurrency } from './StatsManager.mjs';
+
+// Estrategias soportadas: boletos fijos, o los números más (calientes) o menos (frios) frecuentes de los concursos previos
+export const STRATEGY_TYPES = ['fijos', 'calientes', 'frios'];
+
+/**
+ * Clase BacktestEngine
+ *
+ * Reproduce la serie histórica de un juego concurso por concurso jugando una estrategia, y reporta
+ * los premios obtenidos en cada concurso, el costo de los boletos frente a las ganancias estimadas
+ * y la tasa de acierto. Los premios se evalúan con TicketChecker y se valoran con el monto estimado
+ * de cada categoría (o la bolsa del concurso, en la moneda actual, en las categorías que la usan).
+ */
+export default class BacktestEngine {
+    /**
+     * Constructor de BacktestEngine
+     * @param {DBManager} dbManager - Instancia de DBManager con la conexión a la base de datos.
+     * @param {TicketChecker} ticketChecker - Evaluador de boletos.
+     * @param {Object} options - Opciones.
+     * @param {number} [options.maxBoletos] - Boletos máximos que una estrategia puede jugar por concurso.
+     * @param {Object} [options.redenominacion] - Cambio de moneda de las bolsas (ver toCurrentCurrency en StatsManager).
+     */
+    constructor(dbManager, ticketChecker, { maxBoletos = 100, redenominacion = null } = {}) {
+        this.dbManager = dbManager;
+        this.ticketChecker = ticketChecker;
+        this.maxBoletos = maxBoletos;
+        this.redenominacion = redenominacion;
+    }
+
+    /**
+     * Valida una estrategia contra la definición del juego.
+     * - { tipo: 'fijos', boletos: [[...], ...] }: los mismos boletos en todos los concursos.
+     * - { tipo: 'calientes' | 'frios', cantidad, ventana }: juega los 'cantidad' números más (o menos) frecuentes
+     *   de los 'ventana' concursos anteriores; si 'cantidad' es mayor que las bolas del juego, juega todas sus combinaciones.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} estrategia - Estrategia a validar.
+     * @returns {string|null} - El motivo por el que la estrategia es inválida, o null si es válida.
+     */
+    validateStrategy(game, estrategia) {
+        if (!estrategia || !STRATEGY_TYPES.includes(estrategia.tipo)) {
+            return `El tipo de estrategia debe ser uno de: ${STRATEGY_TYPES.join(', ')}`;
+        }
+
+        if (estrategia.tipo === 'fijos') {
+            const { boletos } = estrategia;
+            if (!Array.isArray(boletos) || boletos.length === 0 || boletos.length > this.maxBoletos) {
+                return `La estrategia 'fijos' requiere entre 1 y ${this.maxBoletos} boletos`;
+            }
+            for (const [i, ticket] of boletos.entries()) {
+                const motivo = this.ticketChecker.validateTicket(game, ticket);
+                if (motivo) {
+                    return `Boleto ${i + 1} inválido: ${motivo}`;
+                }
+            }
+            return null;
+        }
+
+        const { cantidad = game.bolas, ventana } = estrategia;
+        const rangeSize = game.maximo - game.minimo + 1;
+        if (!Number.isInteger(cantidad) || cantidad < game.bolas || cantidad > rangeSize) {
+            return `La cantidad de números debe estar entre ${game.bolas} y ${rangeSize}`;
+        }
+        if (binomial(cantidad, game.bolas) > this.maxBoletos) {
+            return `Jugar ${cantidad} números requiere ${binomial(cantidad, game.bolas)} boletos por concurso; el máximo es ${this.maxBoletos}`;
+        }
+        if (!Number.isInteger(ventana) || ventana < 1) {
+            return 'La ventana debe ser un número de concursos mayor a 0';
+        }
+        return null;
+    }
+
+    /**
+     * Ejecuta el backtest de una estrategia sobre la serie histórica.
+     * En las estrategias de números calientes o fríos los primeros 'ventana' concursos del periodo
+     * solo sirven de historial: se juega a partir del siguiente.
+     * @param {Object} game - Juego del registro (GameRegistry); debe tener categorías de premio y precio de boleto.
+     * @param {Object} estrategia - Estrategia validada con validateStrategy.
+     * @param {Object} filters - Filtros de fecha (ver buildDrawFilters).
+     * @returns {Object} - { juego, estrategia, concursos, boletosJugados, costo, ganancias, balance, retorno,
+     *                     tasaAcierto, concursosPremiados, premios, detalle }
+     */
+    async run(game, estrategia, filters = {}) {
+        const draws = await this.dbManager.getDraws(game, filters);
+        const columns = mainColumns(game);
+        const isRule = estrategia.tipo !== 'fijos';
+        const start = isRule ? estrategia.ventana : 0;
+
+        const premios = Object.fromEntries(game.premios.map(({ nombre }) => [nombre, 0]));
+        const report = { boletosJugados: 0, boletosPremiados: 0, ganancias: 0, concursosPremiados: 0 };
+        const detalle = [];
+
+        for (let index = start; index < draws.length; index++) {
+            const draw = draws[index];
+            let numeros = null;
+            let tickets = estrategia.boletos;
+            if (isRule) {
+                numeros = rankNumbers(game, draws.slice(index - estrategia.ventana, index), columns, estrategia);
+                tickets = [...combinations(numeros, game.bolas)];
+            }
+
+            const hits = {};
+            let ganancia = 0;
+            for (const ticket of tickets) {
+                const { categoria } = this.ticketChecker.evaluate(game, ticket, draw);
+                if (categoria === null) {
+                    continue;
+                }
+                hits[categoria] = (hits[categoria] || 0) + 1;
+                premios[categoria]++;
+                report.boletosPremiados++;
+                ganancia += prizeAmount(game.premios.find((premio) => premio.nombre === categoria), draw, this.redenominacion);
+            }
+
+            report.boletosJugados += tickets.length;
+            report.ganancias += ganancia;
+            if (Object.keys(hits).length > 0) {
+                report.concursosPremiados++;
+            }
+            detalle.push({
+                concurso: draw.CONCURSO,
+                fecha: draw.FECHA,
+                ...(numeros ? { numeros } : {}),
+                boletos: tickets.length,
+                premios: hits,
+                ganancia: round(ganancia)
+            });
+        }
+
+        const costo = report.boletosJugados * game.precioBoleto;
+        return {
+            juego: game.id,
+            estrategia,
+            concursos: detalle.length,
+            boletosJugados: report.boletosJugados,
+            costo: round(costo),
+            ganancias: round(report.ganancias),
+            balance: round(report.ganancias - costo),
+            retorno: costo > 0 ? round(report.ganancias / costo) : null,
+            tasaAcierto: report.boletosJugados > 0 ? round(report.boletosPremiados / report.boletosJugados, 4) : null,
+            concursosPremiados: report.concursosPremiados,
+            premios,
+            detalle
+        };
+    }
+}
+
+// Ordena los números del juego por su frecuencia en los concursos dados y devuelve los primeros 'cantidad',
+// en orden ascendente. Los empates se resuelven por el número menor para que el resultado sea reproducible.
+function rankNumbers(game, history, columns, { tipo, cantidad = game.bolas }) {
+    const counts = new Map();
+    for (let numero = game.minimo; numero <= game.maximo; numero++) {
+        counts.set(numero, 0);
+    }
+    for (const draw of history) {
+        for (const column of columns) {
+            if (counts.has(draw[column])) {
+                counts.set(draw[column], counts.get(draw[column]) + 1);
+            }
+        }
+    }
+
+    const direction = tipo === 'calientes' ? -1 : 1;
+    return [...counts.entries()]
+        .sort(([a, countA], [b, countB]) => direction * (countA - countB) || a - b)
+        .slice(0, cantidad)
+        .map(([numero]) => numero)
+        .sort((a, b) => a - b);
+}
+
+// Premio estimado de una categoría: la bolsa del concurso en la moneda actual si la categoría la usa (y se conoce), o su monto fijo
+function prizeAmount(premio, draw, redenominacion) {
+    if (premio.bolsa && draw.BOLSA !== null && draw.BOLSA !== undefined) {
+        return toCurrentCurrency(draw.BOLSA, draw.FECHA, redenominacion);
+    }
+    return premio.monto ?? 0;
+}
+
+// Genera las combinaciones de k elementos de una lista, en orden lexicográfico
+function* combinations(items, k, start = 0, prefix = []) {
+    if (prefix.length === k) {
+        yield prefix;
+        return;
+    }
+    for (let i = start; i <= items.length - (k - prefix.length); i++) {
+        yield* combinations(items, k, i + 1, [...prefix, items[i]]);
+    }
+}
+
+function binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+        result = result * (n - k + i) / i;
+    }
+    return Math.round(result);
+}
+
+function round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
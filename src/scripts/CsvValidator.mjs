@@ -0,0 +1,139 @@
+import { mainColumns, additionalColumn } from './GameRegistry.mjs';
+import { toISODate } from './dateUtils.mjs';
+
+// Modos de validación: omitir las filas inválidas o abortar la importación completa
+export const VALIDATION_MODES = ['skipInvalid', 'abortOnInvalid'];
+
+/**
+ * Error de validación del CSV.
+ * Lleva la lista de filas rechazadas para poder generar el reporte aunque la importación se aborte.
+ */
+export class CsvValidationError extends Error {
+    /**
+     * @param {string} message - Descripción del error.
+     * @param {Array<Object>} rechazados - Filas rechazadas ({ fila, concurso, motivo }).
+     */
+    constructor(message, rechazados = []) {
+        super(message);
+        this.name = 'CsvValidationError';
+        this.rechazados = rechazados;
+    }
+}
+
+/**
+ * Clase CsvValidator
+ *
+ * Valida el encabezado y cada fila de un CSV del histórico contra la definición de un juego:
+ * columnas esperadas, concurso entero y único, fecha válida, números enteros dentro del rango,
+ * sin repetidos (salvo en juegos que los permiten) y bola adicional distinta de los naturales.
+ */
+export default class CsvValidator {
+    /**
+     * Constructor de CsvValidator
+     * @param {Object} game - Juego del registro (GameRegistry).
+     */
+    constructor(game) {
+        this.game = game;
+        this.mainColumns = mainColumns(game);
+        this.additionalColumn = additionalColumn(game);
+        this.requiredColumns = ['CONCURSO', ...this.mainColumns, ...(this.additionalColumn ? [this.additionalColumn] : []), 'FECHA'];
+        this.seenConcursos = new Set();
+    }
+
+    /**
+     * Verifica que el encabezado del CSV tenga todas las columnas esperadas.
+     * @param {Array<string>} headers - Columnas del encabezado.
+     * @throws {CsvValidationError} - Si falta alguna columna (p. ej. si el sitio de origen la renombró).
+     */
+    validateHeaders(headers) {
+        const missing = this.requiredColumns.filter((column) => !headers.includes(column));
+        if (missing.length > 0) {
+            throw new CsvValidationError(
+                `El CSV de ${this.game.nombre} no tiene las columnas esperadas. Faltan: ${missing.join(', ')}. Encabezado recibido: ${headers.join(', ')}`
+            );
+        }
+    }
+
+    /**
+     * Valida una fila del CSV y la convierte a los tipos de la tabla.
+     * @param {Object} row - Fila tal como la entrega csv-parser.
+     * @returns {{record: Object, motivo: string}} - El registro normalizado o el motivo del rechazo.
+     */
+    validateRow(row) {
+        const concurso = toInteger(row.CONCURSO);
+        if (concurso === null || concurso < 1) {
+            return { motivo: `CONCURSO inválido: '${row.CONCURSO}'` };
+        }
+        if (this.seenConcursos.has(concurso)) {
+            return { motivo: `CONCURSO ${concurso} duplicado en el archivo` };
+        }
+
+        const fecha = toISODate(row.FECHA);
+        if (!fecha) {
+            return { motivo: `FECHA inválida: '${row.FECHA}'` };
+        }
+
+        const record = { CONCURSO: concurso, FECHA: fecha };
+
+        const numbers = [];
+        for (const column of this.mainColumns) {
+            const value = this.parseNumber(row[column]);
+            if (value === null) {
+                return { motivo: `${column} fuera de rango (${this.game.minimo}-${this.game.maximo}): '${row[column]}'` };
+            }
+            numbers.push(value);
+            record[column] = value;
+        }
+        if (!this.game.repeticion && new Set(numbers).size !== numbers.length) {
+            return { motivo: `Números repetidos en el concurso: ${numbers.join(', ')}` };
+        }
+
+        if (this.additionalColumn) {
+            const value = this.parseNumber(row[this.additionalColumn]);
+            if (value === null) {
+                return { motivo: `${this.additionalColumn} fuera de rango (${this.game.minimo}-${this.game.maximo}): '${row[this.additionalColumn]}'` };
+            }
+            if (!this.game.repeticion && numbers.includes(value)) {
+                return { motivo: `La bola adicional ${this.additionalColumn}=${value} repite un número natural` };
+            }
+            record[this.additionalColumn] = value;
+        }
+
+        // NPRODUCTO y BOLSA son opcionales, pero si vienen deben ser numéricos
+        if (isPresent(row.NPRODUCTO)) {
+            record.NPRODUCTO = toInteger(row.NPRODUCTO);
+            if (record.NPRODUCTO === null) {
+                return { motivo: `NPRODUCTO inválido: '${row.NPRODUCTO}'` };
+            }
+        }
+        if (isPresent(row.BOLSA)) {
+            record.BOLSA = Number(row.BOLSA);
+            if (!Number.isFinite(record.BOLSA) || record.BOLSA < 0) {
+                return { motivo: `BOLSA inválida: '${row.BOLSA}'` };
+            }
+        }
+
+        this.seenConcursos.add(concurso);
+        return { record };
+    }
+
+    // Convierte un número de la fila y verifica que esté dentro del rango del juego
+    parseNumber(value) {
+        const number = toInteger(value);
+        if (number === null || number < this.game.minimo || number > this.game.maximo) {
+            return null;
+        }
+        return number;
+    }
+}
+
+function isPresent(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function toInteger(value) {
+    if (!isPresent(value) || !/^-?\d+$/.test(String(value).trim())) {
+        return null;
+    }
+    return Number(value);
+}
@@ -4,7 +4,10 @@ import logger from './logger.mjs';
 import fs from 'fs';
 import csvParser from 'csv-parser';
 import path from 'path';
-import { combinations } from 'combinatorial-generators'; // Usaremos una librería para generar combinaciones de tamaño k
+import { mainColumns, additionalColumn, numberColumns, drawColumns } from './GameRegistry.mjs';
+import CsvValidator, { CsvValidationError } from './CsvValidator.mjs';
+import Migrator from './Migrator.mjs';
+import { METRICS, computeDrawMetrics, drawNumbers } from './drawMetrics.mjs';
 
 /**
  * Clase DBManager
@@ -14,16 +17,33 @@ export default class DBManager {
     /**
      * Constructor de DBManager
      * @param {string} databasePath - Ruta de la base de datos SQLite.
+     * @param {Object} options - Opciones.
+     * @param {Array<Object>} [options.games] - Juegos del registro, usados por las migraciones.
+     * @param {boolean} [options.autoMigrate] - Aplicar las migraciones pendientes en la primera conexión.
+     * @param {number} [options.maxCombinationSize] - Tamaño máximo (k) de las combinaciones precalculadas en 'Combinaciones'.
+     * @param {number} [options.busyTimeout] - Milisegundos que una operación espera a que otra conexión libere la base de datos.
      */
-    constructor(databasePath) {
+    constructor(databasePath, { games = [], autoMigrate = true, maxCombinationSize = 4, busyTimeout = 5000 } = {}) {
         this.databasePath = databasePath;
+        this.games = games;
+        this.autoMigrate = autoMigrate;
+        this.maxCombinationSize = maxCombinationSize;
+        this.busyTimeout = busyTimeout;
+        this.migrated = false;
     }
 
     /**
-     * Conecta a la base de datos.
-     * @throws {Error} - Si ocurre un error al conectar a la base de datos.
+     * Conecta a la base de datos y, en la primera conexión, aplica las migraciones pendientes.
+     * Si la conexión ya está abierta no hace nada.
+     * La base de datos se abre en modo WAL: los lectores no se bloquean mientras otra conexión escribe
+     * (p. ej. la API mientras una sincronización carga un CSV).
+     * @throws {Error} - Si ocurre un error al conectar a la base de datos o al migrarla.
      */
     async connect() {
+        if (this.db) {
+            return;
+        }
+
         try {
             const dbDirectory = path.dirname(this.databasePath);
 
@@ -44,24 +64,60 @@ export default class DBManager {
                 filename: this.databasePath,
                 driver: sqlite3.Database
             });
+            await this.db.exec('PRAGMA journal_mode = WAL');
+            await this.db.exec(`PRAGMA busy_timeout = ${Number(this.busyTimeout)}`);
 
             logger.info("Conexión a la base de datos establecida.");
 
         } catch (err) {
             logger.error(`Error al conectar a la base de datos: ${err.message}`);
+            await this.db?.close().catch(() => {});
+            this.db = null;
             throw new Error("Failed to open database connection");
         }
+
+        if (this.autoMigrate && !this.migrated) {
+            await this.migrate();
+            this.migrated = true;
+        }
     }
 
     /**
-     * Verifica si la tabla 'Concursos' existe en la base de datos.
+     * Aplica las migraciones pendientes del esquema (ver Migrator).
+     * @param {Object} options - Opciones.
+     * @param {boolean} [options.dryRun] - Ejecutar las migraciones y revertirlas, sin modificar la base de datos.
+     * @returns {Array<Object>} - Migraciones procesadas ({ version, descripcion, sql }).
+     * @throws {Error} - Si alguna migración falla.
+     */
+    async migrate({ dryRun = false } = {}) {
+        try {
+            return await new Migrator(this.db, { games: this.games, dbManager: this }).migrate({ dryRun });
+        } catch (err) {
+            logger.error(`Error al migrar la base de datos: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Obtiene la versión del esquema y las migraciones aplicadas y pendientes.
+     * @returns {{actual: number, aplicadas: Array<Object>, pendientes: Array<Object>}}
+     */
+    async getSchemaStatus() {
+        return new Migrator(this.db, { games: this.games, dbManager: this }).status();
+    }
+
+    /**
+     * Verifica si la tabla de concursos de un juego existe en la base de datos.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {string} [table] - Nombre de la tabla; por defecto la tabla del juego.
      * @returns {boolean} - True si la tabla existe, False en caso contrario.
      * @throws {Error} - Si ocurre un error durante la verificación.
      */
-    async tableExists() {
+    async tableExists(game, table = game.tabla) {
         try {
             const result = await this.db.get(
-                "SELECT name FROM sqlite_master WHERE type='table' AND name='Concursos';"
+                "SELECT name FROM sqlite_master WHERE type='table' AND name = ?;",
+                [table]
             );
             return result !== undefined;
         } catch (err) {
@@ -70,123 +126,480 @@ export default class DBManager {
     }
 
     /**
-     * Crea la tabla 'Concursos' si no existe.
+     * Crea la tabla de concursos de un juego si no existe.
+     * Las columnas de números (R1..Rn y la adicional) dependen de la definición del juego.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {string} [table] - Nombre de la tabla; por defecto la tabla del juego (reloadAllData la usa para la tabla de staging).
      * @throws {Error} - Si ocurre un error al crear la tabla.
      */
-    async createTableIfNotExists() {
-        const tableExists = await this.tableExists();
+    async createTableIfNotExists(game, table = game.tabla) {
+        const tableExists = await this.tableExists(game, table);
         if (!tableExists) {
+            const numberDefinitions = numberColumns(game).map((column) => `${column} INTEGER,`).join('\n                    ');
             const createTableQuery = `
-                CREATE TABLE IF NOT EXISTS Concursos (
+                CREATE TABLE IF NOT EXISTS ${table} (
                     CONCURSO INTEGER PRIMARY KEY,
                     NPRODUCTO INTEGER,
-                    R1 INTEGER,
-                    R2 INTEGER,
-                    R3 INTEGER,
-                    R4 INTEGER,
-                    R5 INTEGER,
-                    R6 INTEGER,
-                    R7 INTEGER,
+                    ${numberDefinitions}
                     BOLSA REAL,
                     FECHA TEXT
                 );
             `;
             try {
                 await this.db.run(createTableQuery);
-                logger.info("Tabla 'Concursos' creada exitosamente.");
+                // La tabla de staging se llena sin índices; se crean al reemplazar la tabla en uso
+                if (table === game.tabla) {
+                    await this.createIndexes(game);
+                }
+                logger.info(`Tabla '${table}' creada exitosamente.`);
             } catch (err) {
-                throw new Error(`Error creando la tabla 'Concursos': ${err.message}`);
+                throw new Error(`Error creando la tabla '${table}': ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * (Re)crea los índices de las tablas de concursos de un juego: uno por columna de números y uno por FECHA.
+     * Las migraciones crean los mismos índices en las tablas existentes; este método los crea en las tablas
+     * nuevas y después de intercambiar tablas en reloadAllData y rollbackReload. Cada tabla lleva sus índices
+     * con su propio nombre (idx_<tabla>_<columna>), pero los índices conservan su nombre al renombrar la tabla
+     * a la que pertenecen: primero se eliminan los que quedaron con el nombre de otra tabla y después se crean
+     * los que faltan, así el respaldo conserva sus índices y no se eliminan los de la tabla equivocada.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Array<string>} [tables] - Tablas del juego a indexar; por defecto la tabla en uso.
+     */
+    async createIndexes(game, tables = [game.tabla]) {
+        const columns = [...numberColumns(game), 'FECHA'];
+        for (const table of tables) {
+            const expected = columns.map((column) => `idx_${table}_${column}`);
+            const existing = await this.db.all(
+                "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name LIKE 'idx_%'",
+                [table]
+            );
+            for (const { name } of existing.filter(({ name }) => !expected.includes(name))) {
+                await this.db.run(`DROP INDEX ${name}`);
+            }
+        }
+        for (const table of tables) {
+            for (const column of columns) {
+                await this.db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_${column} ON ${table} (${column})`);
             }
         }
     }
 
     /**
-     * Inserta solo los registros nuevos en la tabla 'Concursos'.
+     * Crea la tabla 'Correcciones' si no existe.
+     * Guarda los valores anteriores y nuevos de cada concurso que el origen corrigió después de publicarlo.
+     * @throws {Error} - Si ocurre un error al crear la tabla.
+     */
+    async createCorrectionsTableIfNotExists() {
+        try {
+            await this.db.run(`
+                CREATE TABLE IF NOT EXISTS Correcciones (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    JUEGO TEXT NOT NULL,
+                    CONCURSO INTEGER NOT NULL,
+                    CAMPOS TEXT NOT NULL,
+                    VALORES_ANTERIORES TEXT NOT NULL,
+                    VALORES_NUEVOS TEXT NOT NULL,
+                    FECHA_DETECCION TEXT NOT NULL
+                );
+            `);
+        } catch (err) {
+            throw new Error(`Error creando la tabla 'Correcciones': ${err.message}`);
+        }
+    }
+
+    /**
+     * Inserta los registros nuevos en la tabla de concursos de un juego y aplica las correcciones.
+     * Los concursos que cambiaron respecto a lo almacenado (resultado o bolsa corregidos) se registran
+     * en la tabla 'Correcciones'. Todo ocurre en una sola transacción (ver loadCsvIntoTable).
+     * @param {Object} game - Juego del registro (GameRegistry).
      * @param {string} filePath - Ruta del archivo CSV que contiene los registros.
+     * @param {Object} options - Opciones de la importación.
+     * @param {string} [options.validationMode] - 'skipInvalid' omite las filas inválidas; 'abortOnInvalid' cancela toda la importación.
+     * @param {number} [options.batchSize] - Número de filas por lote.
+     * @returns {{filas: number, insertados: number, actualizados: number, sinCambios: number, rechazados: Array<Object>}} - Resumen de la importación.
+     * @throws {CsvValidationError} - Si el encabezado no es el esperado o, en modo 'abortOnInvalid', si alguna fila es inválida.
      * @throws {Error} - Si ocurre un error durante la inserción.
      */
-    async insertNewRecordsOnly(filePath) {
+    async insertNewRecordsOnly(game, filePath, options = {}) {
+        await this.createCorrectionsTableIfNotExists();
+
         try {
             await this.db.run('BEGIN TRANSACTION');
-    
-            const records = [];
-    
-            await new Promise((resolve, reject) => {
-                fs.createReadStream(filePath)
-                    .pipe(csvParser())
-                    .on('data', (row) => {
-                        records.push(row);
-                    })
-                    .on('end', resolve)
-                    .on('error', reject);
-            });
-    
-            for (const record of records) {
-                const { CONCURSO } = record;
-                const existingRecord = await this.get(
-                    "SELECT * FROM Concursos WHERE CONCURSO = ?",
-                    [CONCURSO]
-                );
-                if (!existingRecord) {
-                    const query = `
-                        INSERT INTO Concursos (CONCURSO, NPRODUCTO, R1, R2, R3, R4, R5, R6, R7, BOLSA, FECHA)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                    `;
-                    await this.executeQuery(query, [
-                        record.CONCURSO,
-                        record.NPRODUCTO,
-                        record.R1,
-                        record.R2,
-                        record.R3,
-                        record.R4,
-                        record.R5,
-                        record.R6,
-                        record.R7,
-                        record.BOLSA,
-                        record.FECHA
-                    ]);
-                }
-            }
-    
+            const summary = await this.loadCsvIntoTable(game, filePath, game.tabla, options);
             await this.db.run('COMMIT');
+            return summary;
         } catch (err) {
             await this.db.run('ROLLBACK');
+            if (err instanceof CsvValidationError) {
+                throw err;
+            }
             throw new Error(`Error insertando nuevos registros: ${err.message}`);
         }
     }
-    
 
     /**
-     * Elimina la tabla 'Concursos' y la vuelve a crear.
-     * @throws {Error} - Si ocurre un error durante la operación.
+     * Carga un CSV en una tabla de concursos. No abre ni cierra transacciones: el llamador decide.
+     * El CSV se lee en streaming y se procesa en lotes: por cada lote se consultan los concursos existentes
+     * con una sola consulta y se escriben con sentencias preparadas (upsert).
+     * Cada fila se valida con CsvValidator; las filas rechazadas se devuelven con su número de línea y motivo.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {string} filePath - Ruta del archivo CSV que contiene los registros.
+     * @param {string} table - Tabla destino (la del juego o la de staging).
+     * @param {Object} options - Opciones de la importación (ver insertNewRecordsOnly).
+     * @param {boolean} [options.auditCorrections] - Registrar en 'Correcciones' los concursos que cambiaron.
+     * @returns {{filas: number, insertados: number, actualizados: number, sinCambios: number, rechazados: Array<Object>}} - Resumen de la carga.
+     * @throws {CsvValidationError} - Si el encabezado no es el esperado o, en modo 'abortOnInvalid', si alguna fila es inválida.
      */
-    async reloadAllData(filePath) {
+    async loadCsvIntoTable(game, filePath, table, { validationMode = 'skipInvalid', batchSize = 500, auditCorrections = true } = {}) {
+        const validator = new CsvValidator(game);
+        const columns = ['CONCURSO', 'NPRODUCTO', ...numberColumns(game), 'BOLSA', 'FECHA'];
+        const summary = { filas: 0, insertados: 0, actualizados: 0, sinCambios: 0, rechazados: [] };
+        const statements = [];
+
+        try {
+            const upsert = await this.db.prepare(`
+                INSERT INTO ${table} (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+                ON CONFLICT(CONCURSO) DO UPDATE SET
+                    ${columns.slice(1).map((column) => `${column} = excluded.${column}`).join(', ')}
+            `);
+            statements.push(upsert);
+            const audit = auditCorrections ? await this.db.prepare(`
+                INSERT INTO Correcciones (JUEGO, CONCURSO, CAMPOS, VALORES_ANTERIORES, VALORES_NUEVOS, FECHA_DETECCION)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `) : null;
+            if (audit) {
+                statements.push(audit);
+            }
+
+            const flush = async (batch) => {
+                const placeholders = batch.map(() => '?').join(', ');
+                const existingRows = await this.db.all(
+                    `SELECT ${columns.join(', ')} FROM ${table} WHERE CONCURSO IN (${placeholders})`,
+                    batch.map((record) => record.CONCURSO)
+                );
+                const existing = new Map(existingRows.map((row) => [row.CONCURSO, row]));
+                const written = [];
+
+                for (const record of batch) {
+                    // Las columnas que el CSV no trae (p. ej. BOLSA en algunos juegos) se guardan como NULL
+                    const values = columns.map((column) => record[column] ?? null);
+                    const previous = existing.get(record.CONCURSO);
+
+                    if (!previous) {
+                        await upsert.run(values);
+                        written.push(record.CONCURSO);
+                        summary.insertados++;
+                        continue;
+                    }
+
+                    const changed = columns.filter((column, i) => (previous[column] ?? null) !== values[i]);
+                    if (changed.length === 0) {
+                        summary.sinCambios++;
+                        continue;
+                    }
+
+                    if (audit) {
+                        await audit.run([
+                            game.id,
+                            record.CONCURSO,
+                            changed.join(','),
+                            JSON.stringify(Object.fromEntries(changed.map((column) => [column, previous[column] ?? null]))),
+                            JSON.stringify(Object.fromEntries(changed.map((column) => [column, record[column] ?? null]))),
+                            new Date().toISOString()
+                        ]);
+                    }
+                    await upsert.run(values);
+                    written.push(record.CONCURSO);
+                    summary.actualizados++;
+                    logger.info(`Concurso ${record.CONCURSO} de ${game.nombre} corregido en origen: ${changed.join(', ')}.`);
+                }
+
+                // La tabla de staging no se indexa: sus combinaciones y métricas se calculan al reemplazar la tabla en uso
+                if (table === game.tabla && written.length > 0) {
+                    await this.indexDrawCombinations(game, written);
+                    await this.indexDrawMetrics(game, written);
+                }
+            };
+
+            const parser = csvParser({ mapHeaders: ({ header }) => header.trim() });
+            parser.on('headers', (headers) => {
+                // Un encabezado distinto (p. ej. una columna renombrada en el sitio de origen) invalida todo el archivo
+                try {
+                    validator.validateHeaders(headers);
+                } catch (err) {
+                    parser.destroy(err);
+                }
+            });
+            const stream = fs.createReadStream(filePath).on('error', (err) => parser.destroy(err));
+
+            let batch = [];
+            for await (const row of stream.pipe(parser)) {
+                summary.filas++;
+                const { record, motivo } = validator.validateRow(row);
+                if (motivo) {
+                    // La línea 1 del archivo es el encabezado
+                    summary.rechazados.push({ fila: summary.filas + 1, concurso: row.CONCURSO ?? null, motivo });
+                    continue;
+                }
+                // En modo abortOnInvalid se sigue validando para que el reporte liste todas las filas inválidas
+                if (summary.rechazados.length > 0 && validationMode === 'abortOnInvalid') {
+                    continue;
+                }
+
+                batch.push(record);
+                if (batch.length >= batchSize) {
+                    await flush(batch);
+                    batch = [];
+                }
+            }
+
+            if (summary.rechazados.length > 0 && validationMode === 'abortOnInvalid') {
+                throw new CsvValidationError(`Importación abortada: ${summary.rechazados.length} filas inválidas`, summary.rechazados);
+            }
+            if (batch.length > 0) {
+                await flush(batch);
+            }
+
+            return summary;
+        } finally {
+            await Promise.all(statements.map((statement) => statement.finalize().catch(() => {})));
+        }
+    }
+
+    /**
+     * Recarga todos los datos de un juego sin dejar la API sin datos.
+     * El CSV se carga en una tabla de staging; solo si la carga termina y el número de filas coincide con las
+     * filas válidas del CSV, la tabla de staging reemplaza a la tabla en uso en una sola transacción.
+     * La tabla anterior se conserva como respaldo ('<tabla>_backup') para poder revertir con rollbackReload.
+     * Las combinaciones precalculadas del juego se recalculan dentro de la misma transacción del intercambio.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {string} filePath - Ruta del archivo CSV que contiene los registros.
+     * @param {Object} options - Opciones de la importación (ver insertNewRecordsOnly).
+     * @returns {{filas: number, insertados: number, anteriores: number, rechazados: Array<Object>}} - Resumen de la recarga.
+     * @throws {CsvValidationError} - Si la validación del CSV aborta la carga.
+     * @throws {Error} - Si la carga o las verificaciones fallan; la tabla en uso queda intacta.
+     */
+    async reloadAllData(game, filePath, options = {}) {
+        const staging = `${game.tabla}_staging`;
+        const backup = `${game.tabla}_backup`;
+
+        try {
+            // Cargar el CSV completo en la tabla de staging
+            await this.db.run(`DROP TABLE IF EXISTS ${staging}`);
+            await this.createTableIfNotExists(game, staging);
+
+            let summary;
+            try {
+                await this.db.run('BEGIN TRANSACTION');
+                summary = await this.loadCsvIntoTable(game, filePath, staging, { ...options, auditCorrections: false });
+                await this.db.run('COMMIT');
+            } catch (err) {
+                await this.db.run('ROLLBACK');
+                throw err;
+            }
+
+            // Verificar la carga antes de reemplazar la tabla en uso
+            const { total } = await this.get(`SELECT COUNT(*) AS total FROM ${staging}`);
+            const expected = summary.filas - summary.rechazados.length;
+            if (total !== expected) {
+                throw new Error(`La tabla de staging tiene ${total} registros y el CSV ${expected} filas válidas`);
+            }
+            if (total === 0) {
+                throw new Error('El CSV no contiene registros válidos');
+            }
+            const liveExists = await this.tableExists(game);
+            const anteriores = liveExists ? (await this.countConcursos(game)) : 0;
+
+            // Intercambiar las tablas de forma atómica, conservando la anterior como respaldo
+            try {
+                await this.db.run('BEGIN TRANSACTION');
+                await this.db.run(`DROP TABLE IF EXISTS ${backup}`);
+                if (liveExists) {
+                    await this.db.run(`ALTER TABLE ${game.tabla} RENAME TO ${backup}`);
+                }
+                await this.db.run(`ALTER TABLE ${staging} RENAME TO ${game.tabla}`);
+                await this.createIndexes(game, liveExists ? [game.tabla, backup] : [game.tabla]);
+                await this.rebuildCombinations(game);
+                await this.rebuildMetrics(game);
+                await this.db.run('COMMIT');
+            } catch (err) {
+                await this.db.run('ROLLBACK');
+                throw err;
+            }
+
+            logger.info(`Tabla '${game.tabla}' recargada: ${total} registros (antes ${anteriores}). Respaldo en '${backup}'.`);
+            return { filas: summary.filas, insertados: total, anteriores, rechazados: summary.rechazados };
+        } catch (err) {
+            await this.db.run(`DROP TABLE IF EXISTS ${staging}`).catch(() => {});
+            if (err instanceof CsvValidationError) {
+                throw err;
+            }
+            throw new Error(`Error recargando todos los datos: ${err.message}`);
+        }
+    }
+
+    /**
+     * Revierte la última recarga: la tabla de respaldo vuelve a ser la tabla en uso y viceversa.
+     * Como el intercambio es simétrico, una segunda llamada deshace la reversión.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @returns {number} - Número de registros de la tabla restaurada.
+     * @throws {Error} - Si no existe respaldo o el intercambio falla.
+     */
+    async rollbackReload(game) {
+        const backup = `${game.tabla}_backup`;
+        const swap = `${game.tabla}_swap`;
+
+        if (!await this.tableExists(game, backup)) {
+            throw new Error(`No existe la tabla de respaldo '${backup}'`);
+        }
+
         try {
             await this.db.run('BEGIN TRANSACTION');
-    
-            // Desactivar índices
-            await this.db.run('PRAGMA foreign_keys = OFF;');
-    
-            // Eliminar la tabla si existe
-            await this.db.run("DROP TABLE IF EXISTS Concursos");
-    
-            // Crear la tabla nuevamente
-            await this.createTableIfNotExists();
-    
-            // Insertar nuevos registros desde el archivo CSV
-            await this.insertNewRecordsOnly(filePath);
-    
-            // Reactivar índices
-            await this.db.run('PRAGMA foreign_keys = ON;');
-    
+            await this.db.run(`DROP TABLE IF EXISTS ${swap}`);
+            await this.db.run(`ALTER TABLE ${game.tabla} RENAME TO ${swap}`);
+            await this.db.run(`ALTER TABLE ${backup} RENAME TO ${game.tabla}`);
+            await this.db.run(`ALTER TABLE ${swap} RENAME TO ${backup}`);
+            await this.createIndexes(game, [game.tabla, backup]);
+            await this.rebuildCombinations(game);
+            await this.rebuildMetrics(game);
             await this.db.run('COMMIT');
-            console.log("Tabla 'Concursos' recreada y registros insertados exitosamente.");
         } catch (err) {
             await this.db.run('ROLLBACK');
-            throw new Error(`Error recargando todos los datos: ${err.message}`);
+            throw new Error(`Error revirtiendo la recarga de '${game.tabla}': ${err.message}`);
         }
+
+        const total = await this.countConcursos(game);
+        logger.info(`Recarga de '${game.tabla}' revertida: ${total} registros restaurados desde '${backup}'.`);
+        return total;
     }
-    
+
+    /**
+     * Crea una copia consistente de la base de datos con VACUUM INTO. La copia incluye los cambios ya
+     * confirmados en el WAL y se puede hacer mientras otras conexiones leen o escriben.
+     * @param {string} destination - Ruta del archivo de respaldo; no debe existir.
+     * @returns {string} - Ruta del respaldo.
+     * @throws {Error} - Si el archivo ya existe o la copia falla.
+     */
+    async backup(destination) {
+        if (fs.existsSync(destination)) {
+            throw new Error(`El archivo de respaldo ya existe: ${destination}`);
+        }
+        fs.mkdirSync(path.dirname(destination), { recursive: true });
+
+        try {
+            await this.db.run('VACUUM INTO ?', [destination]);
+        } catch (err) {
+            logger.error(`Error al respaldar la base de datos: ${err.message}`);
+            throw new Error(`Error al respaldar la base de datos en ${destination}: ${err.message}`);
+        }
+        logger.info(`Respaldo de la base de datos creado en ${destination}.`);
+        return destination;
+    }
+
+    /**
+     * Crea la tabla 'SyncHistory' si no existe.
+     * Guarda una fila por cada sincronización: juego, modo, inicio, fin, registros insertados, error y
+     * el SHA-256 del archivo cargado.
+     * @throws {Error} - Si ocurre un error al crear la tabla.
+     */
+    async createSyncHistoryTableIfNotExists() {
+        try {
+            await this.db.run(`
+                CREATE TABLE IF NOT EXISTS SyncHistory (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    JUEGO TEXT NOT NULL,
+                    MODO TEXT NOT NULL,
+                    INICIO TEXT NOT NULL,
+                    FIN TEXT,
+                    ESTADO TEXT NOT NULL,
+                    INSERTADOS INTEGER,
+                    ERROR TEXT,
+                    SHA256 TEXT
+                );
+            `);
+        } catch (err) {
+            throw new Error(`Error creando la tabla 'SyncHistory': ${err.message}`);
+        }
+    }
+
+    /**
+     * Verifica si la tabla 'SyncHistory' existe; si no existe, ninguna sincronización ha quedado registrada.
+     * @returns {boolean} - True si la tabla existe, False en caso contrario.
+     * @throws {Error} - Si ocurre un error durante la verificación.
+     */
+    async syncHistoryExists() {
+        try {
+            const result = await this.db.get("SELECT name FROM sqlite_master WHERE type='table' AND name = 'SyncHistory';");
+            return result !== undefined;
+        } catch (err) {
+            throw new Error(`Error verificando la existencia de la tabla 'SyncHistory': ${err.message}`);
+        }
+    }
+
+    /**
+     * Registra el inicio de una sincronización.
+     * @param {string} gameId - Identificador del juego.
+     * @param {string} mode - Modo de operación (insertNewOnly o reloadAll).
+     * @returns {number} - ID del registro creado.
+     */
+    async startSyncRecord(gameId, mode) {
+        const result = await this.executeQuery(
+            "INSERT INTO SyncHistory (JUEGO, MODO, INICIO, ESTADO) VALUES (?, ?, ?, 'en_curso')",
+            [gameId, mode, new Date().toISOString()]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * Registra el fin de una sincronización.
+     * @param {number} id - ID devuelto por startSyncRecord.
+     * @param {Object} outcome - Resultado de la sincronización.
+     * @param {string} outcome.estado - 'exitoso', 'sin_cambios' (el archivo no cambió desde la última carga) o 'error'.
+     * @param {number} [outcome.insertados] - Registros insertados.
+     * @param {string} [outcome.error] - Mensaje de error, si lo hubo.
+     * @param {string} [outcome.sha256] - SHA-256 del archivo cargado.
+     */
+    async finishSyncRecord(id, { estado, insertados = null, error = null, sha256 = null }) {
+        await this.executeQuery(
+            "UPDATE SyncHistory SET FIN = ?, ESTADO = ?, INSERTADOS = ?, ERROR = ?, SHA256 = ? WHERE ID = ?",
+            [new Date().toISOString(), estado, insertados, error, sha256, id]
+        );
+    }
+
+    /**
+     * Obtiene la última sincronización exitosa de un juego (incluidas las que no encontraron cambios).
+     * @param {string} gameId - Identificador del juego.
+     * @returns {Object|undefined} - Registro de SyncHistory, o undefined si no hay ninguna.
+     */
+    async getLastSuccessfulSync(gameId) {
+        return this.get(
+            "SELECT * FROM SyncHistory WHERE JUEGO = ? AND ESTADO IN ('exitoso', 'sin_cambios') ORDER BY ID DESC LIMIT 1",
+            [gameId]
+        );
+    }
+
+    /**
+     * Obtiene las sincronizaciones más recientes.
+     * @param {Object} options - Opciones de consulta.
+     * @param {string} [options.juego] - Filtra por juego.
+     * @param {number} [options.limit] - Número máximo de registros.
+     * @returns {Array<Object>} - Historial, del más reciente al más antiguo.
+     */
+    async getSyncHistory({ juego, limit = 20 } = {}) {
+        const where = juego ? 'WHERE JUEGO = ?' : '';
+        const params = juego ? [juego, limit] : [limit];
+        try {
+            return await this.db.all(`SELECT * FROM SyncHistory ${where} ORDER BY ID DESC LIMIT ?`, params);
+        } catch (err) {
+            logger.error(`Error al obtener el historial de sincronización: ${err.message}`);
+            throw new Error("Failed to retrieve sync history");
+        }
+    }
+
     /**
      * Ejecuta una consulta SQL.
      * @param {string} query - La consulta SQL a ejecutar.
@@ -217,72 +630,370 @@ export default class DBManager {
         }
     }
    
-    async getConcursos(limit, offset) {
-        const query = `SELECT * FROM Concursos ORDER BY CONCURSO DESC LIMIT ? OFFSET ?`;
+    /**
+     * Obtiene una página de concursos de un juego con paginación por cursor.
+     * Los concursos se ordenan por la columna indicada y, ante valores iguales, por CONCURSO, así que el par
+     * (valor, CONCURSO) identifica una posición única en la serie. El cursor de la página siguiente es ese par
+     * tomado del último concurso de la página, y el de la anterior, del primero; a diferencia de OFFSET, las
+     * páginas no se desplazan cuando se cargan concursos nuevos. Las bolsas vacías se ordenan como 0.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} options - Opciones.
+     * @param {number} options.limit - Número máximo de concursos.
+     * @param {string} [options.sort] - Columna de ordenamiento: 'CONCURSO', 'FECHA' o 'BOLSA'.
+     * @param {string} [options.order] - 'desc' o 'asc'.
+     * @param {Object} [options.cursor] - Posición de partida ({ valor, concurso, direccion: 'siguiente'|'anterior' }); sin cursor, la primera página.
+     * @param {number} [options.offset] - Concursos a omitir cuando no hay cursor (paginación por número de página).
+     * @param {Array<string>} [options.fields] - Columnas a devolver; por defecto todas.
+     * @param {Object} [options.filters] - Filtros opcionales (ver buildDrawFilters).
+     * @param {Object} [options.search] - Criterios de búsqueda por números (ver buildNumberSearch).
+     * @returns {Object} - { total, concursos, siguiente, anterior }; siguiente y anterior son los cursores de las
+     *                     páginas adyacentes, o null si no hay más concursos en esa dirección.
+     * @throws {Error} - Si la columna de ordenamiento o alguna columna solicitada no existe.
+     */
+    async getConcursosPage(game, { limit, sort = 'CONCURSO', order = 'desc', cursor = null, offset = 0, fields = null, filters = {}, search = null }) {
+        const key = SORT_KEYS[sort];
+        if (!key) {
+            throw new Error(`Columna de ordenamiento no soportada: ${sort}`);
+        }
+        const columns = selectColumns(game, fields, ['CONCURSO', sort]);
+        const { where, params } = search
+            ? combineConditions(buildDrawFilters(filters), buildNumberSearch(game, search))
+            : buildDrawFilters(filters);
+        const descending = order === 'desc';
+        const forward = cursor?.direccion !== 'anterior';
+
+        // Condición de los concursos que están después (ahead) o antes de una posición, en el orden pedido
+        const seek = (position, ahead) => {
+            const operator = ahead === descending ? '<' : '>';
+            return key === 'CONCURSO'
+                ? { sql: `CONCURSO ${operator} ?`, params: [position.concurso] }
+                : { sql: `(${key}, CONCURSO) ${operator} (?, ?)`, params: [position.valor, position.concurso] };
+        };
+        const query = (condition, scanDescending, rowLimit, rowOffset = 0) => {
+            const filter = condition ? `${where ? `${where} AND` : 'WHERE'} ${condition.sql}` : where;
+            const direction = scanDescending ? 'DESC' : 'ASC';
+            return this.db.all(
+                `SELECT ${columns.join(', ')} FROM ${game.tabla} ${filter}
+                 ORDER BY ${key} ${direction}, CONCURSO ${direction} LIMIT ? OFFSET ?`,
+                [...params, ...(condition?.params || []), rowLimit, rowOffset]
+            );
+        };
+
         try {
-            return await this.db.all(query, [limit, offset]);
+            const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM ${game.tabla} ${where}`, params);
+
+            // Hacia atrás se recorre en el orden inverso y se voltea el resultado; un concurso de más indica si hay otra página
+            const rows = await query(cursor && seek(cursor, forward), descending === forward, limit + 1, cursor ? 0 : offset);
+            const more = rows.length > limit;
+            const concursos = rows.slice(0, limit);
+            if (!forward) {
+                concursos.reverse();
+            }
+
+            const position = (row) => ({ valor: sort === 'BOLSA' ? row.BOLSA ?? 0 : row[sort], concurso: row.CONCURSO });
+            let siguiente = null;
+            let anterior = null;
+            if (concursos.length > 0) {
+                const first = position(concursos[0]);
+                const last = position(concursos[concursos.length - 1]);
+                const exists = async (from, ahead) => (await query(seek(from, ahead), descending === ahead, 1)).length > 0;
+                siguiente = (forward ? more : await exists(last, true)) ? { ...last, direccion: 'siguiente' } : null;
+                anterior = (forward ? await exists(first, false) : more) ? { ...first, direccion: 'anterior' } : null;
+            }
+
+            return { total, concursos: concursos.map((row) => pickColumns(row, fields)), siguiente, anterior };
         } catch (err) {
             logger.error(`Error al obtener los concursos: ${err.message}`);
             throw new Error("Failed to retrieve concursos");
         }
     }
-    
-    // Implementar la función para obtener combinaciones frecuentes en DBManager.mjs
-    async getFrequentCombinations(k) {
+
+    /**
+     * Obtiene un concurso por su número.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {number} concurso - Número de concurso.
+     * @param {Array<string>} [fields] - Columnas a devolver; por defecto todas.
+     * @returns {Object|undefined} - El concurso, o undefined si no existe.
+     * @throws {Error} - Si alguna columna solicitada no existe.
+     */
+    async getConcurso(game, concurso, fields = null) {
+        const columns = selectColumns(game, fields);
         try {
-            // Obtener todos los concursos de la base de datos
-            const rows = await this.db.all("SELECT R1, R2, R3, R4, R5, R6 FROM Concursos");
-    
-            // Diccionario para contar la frecuencia de cada combinación
-            const combinationFrequency = {};
-    
-            // Iterar sobre cada concurso y generar combinaciones de tamaño k
-            for (const row of rows) {
-                const numbers = [row.R1, row.R2, row.R3, row.R4, row.R5, row.R6];
-    
-                // Generar todas las combinaciones de tamaño k
-                for (const combo of combinations(numbers, k)) {
-                    const sortedCombo = combo.sort((a, b) => a - b).join(','); // Ordenar y convertir a string para agrupar
-                    combinationFrequency[sortedCombo] = (combinationFrequency[sortedCombo] || 0) + 1;
-                }
+            return await this.db.get(`SELECT ${columns.join(', ')} FROM ${game.tabla} WHERE CONCURSO = ?`, [concurso]);
+        } catch (err) {
+            logger.error(`Error al obtener el concurso ${concurso}: ${err.message}`);
+            throw new Error("Failed to retrieve concurso");
+        }
+    }
+
+    /**
+     * Obtiene el concurso más reciente de un juego.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Array<string>} [fields] - Columnas a devolver; por defecto todas.
+     * @returns {Object|undefined} - El concurso, o undefined si no hay concursos.
+     * @throws {Error} - Si alguna columna solicitada no existe.
+     */
+    async getLatestConcurso(game, fields = null) {
+        const columns = selectColumns(game, fields);
+        try {
+            return await this.db.get(`SELECT ${columns.join(', ')} FROM ${game.tabla} ORDER BY CONCURSO DESC LIMIT 1`);
+        } catch (err) {
+            logger.error(`Error al obtener el último concurso: ${err.message}`);
+            throw new Error("Failed to retrieve concurso");
+        }
+    }
+
+    /**
+     * Obtiene todos los concursos de un juego que cumplen los filtros, del más antiguo al más reciente.
+     * Es la serie histórica sobre la que se calculan las estadísticas.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} filters - Filtros opcionales (ver buildDrawFilters).
+     * @returns {Array<Object>} - Los concursos encontrados.
+     */
+    async getDraws(game, filters = {}) {
+        const { where, params } = buildDrawFilters(filters);
+        try {
+            return await this.db.all(`SELECT * FROM ${game.tabla} ${where} ORDER BY CONCURSO ASC`, params);
+        } catch (err) {
+            logger.error(`Error al obtener la serie de concursos: ${err.message}`);
+            throw new Error("Failed to retrieve draws");
+        }
+    }
+
+    /**
+     * Recorre los concursos de un juego que cumplen los filtros, del más antiguo al más reciente, en lotes.
+     * Cada lote se consulta a partir del último concurso del lote anterior, así que recorrer la serie completa
+     * (p. ej. para exportarla) no la carga entera en memoria.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} filters - Filtros opcionales (ver buildDrawFilters).
+     * @param {number} [batchSize] - Concursos por consulta.
+     * @yields {Object} - Cada concurso.
+     */
+    async *iterateConcursos(game, filters = {}, batchSize = 500) {
+        const { where, params } = buildDrawFilters(filters);
+        const query = `SELECT * FROM ${game.tabla} ${where ? `${where} AND` : 'WHERE'} CONCURSO > ? ORDER BY CONCURSO ASC LIMIT ?`;
+        let last = 0;
+
+        while (true) {
+            const rows = await this.db.all(query, [...params, last, batchSize]);
+            yield* rows;
+            if (rows.length < batchSize) {
+                return;
             }
+            last = rows[rows.length - 1].CONCURSO;
+        }
+    }
+
+    /**
+     * Obtiene los concursos de un juego cuyo número está en un rango, del más antiguo al más reciente.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {number} first - Primer concurso (inclusive).
+     * @param {number} last - Último concurso (inclusive).
+     * @returns {Array<Object>} - Los concursos encontrados.
+     */
+    async getConcursosInRange(game, first, last) {
+        try {
+            return await this.db.all(
+                `SELECT * FROM ${game.tabla} WHERE CONCURSO BETWEEN ? AND ? ORDER BY CONCURSO ASC`,
+                [first, last]
+            );
+        } catch (err) {
+            logger.error(`Error al obtener los concursos ${first}-${last}: ${err.message}`);
+            throw new Error("Failed to retrieve concursos");
+        }
+    }
+
+    /**
+     * Cuenta los concursos almacenados de un juego.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @returns {number} - Total de concursos.
+     */
+    async countConcursos(game) {
+        const result = await this.get(`SELECT COUNT(*) AS total FROM ${game.tabla}`);
+        return result.total;
+    }
     
-            // Convertir el diccionario en un array de combinaciones y su frecuencia
-            const result = Object.entries(combinationFrequency)
-                .map(([combination, frequency]) => ({ combination, frequency }))
-                .sort((a, b) => b.frequency - a.frequency) // Ordenar por frecuencia descendente
-                .slice(0, 20); // Limitar a las 10 combinaciones más frecuentes
-    
-            return result;
+    /**
+     * Obtiene las combinaciones de k números ordenadas por frecuencia, a partir de las combinaciones
+     * precalculadas en la tabla 'Combinaciones'. La frecuencia es el número de concursos en los que salió
+     * la combinación; las combinaciones que nunca han salido no aparecen, tampoco con order 'asc'.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {number} k - Tamaño de las combinaciones (1..maxCombinationSize).
+     * @param {Object} options - Opciones.
+     * @param {number|null} [options.limit] - Número máximo de combinaciones; null para obtenerlas todas.
+     * @param {string} [options.order] - 'desc' (más frecuentes) o 'asc' (menos frecuentes).
+     * @param {boolean} [options.includeAdditional] - Contar también las combinaciones que incluyen la bola adicional.
+     * @param {Object} [options.filters] - Filtros de fecha (ver buildDrawFilters).
+     * @returns {Array<{combination: string, frequency: number}>} - Combinaciones ('n1,n2,...' en orden ascendente) y su frecuencia.
+     */
+    async getFrequentCombinations(game, k, { limit = 20, order = 'desc', includeAdditional = false, filters = {} } = {}) {
+        const { where, params } = buildDrawFilters(filters);
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+        // Solo se cruza con la tabla de concursos si hay filtros de fecha
+        const query = `
+            SELECT c.COMBINACION AS combination, COUNT(*) AS frequency
+            FROM Combinaciones c
+            ${where ? `JOIN (SELECT CONCURSO FROM ${game.tabla} ${where}) d ON d.CONCURSO = c.CONCURSO` : ''}
+            WHERE c.JUEGO = ? AND c.K = ? ${includeAdditional ? '' : 'AND c.ADICIONAL = 0'}
+            GROUP BY c.COMBINACION
+            ORDER BY frequency ${direction}, c.COMBINACION
+            LIMIT ?
+        `;
+        try {
+            // En SQLite un LIMIT negativo no limita el resultado
+            return await this.db.all(query, [...params, game.id, k, limit ?? -1]);
         } catch (err) {
             logger.error(`Error al obtener las combinaciones más frecuentes: ${err.message}`);
             throw new Error("Failed to retrieve frequent combinations");
         }
     }
 
-    // Agregamos un nuevo método para encontrar combinaciones con menos de 6 números
-async findCombination(numeros) {
-    try {
-        const placeholders = Array(numeros.length).fill('(R1 = ? OR R2 = ? OR R3 = ? OR R4 = ? OR R5 = ? OR R6 = ?)').join(' AND ');
-        const query = `SELECT COUNT(*) AS frecuencia FROM Concursos WHERE ${placeholders}`;
+    /**
+     * Tamaño máximo de las combinaciones precalculadas de un juego.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @returns {number} - El menor entre maxCombinationSize y los números por concurso (incluida la adicional).
+     */
+    combinationSizeLimit(game) {
+        return Math.min(this.maxCombinationSize, numberColumns(game).length);
+    }
+
+    /**
+     * Recalcula las combinaciones de algunos concursos de un juego (los insertados o corregidos en una carga).
+     * No abre transacciones: el llamador decide.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Array<number>} concursos - Concursos a recalcular.
+     */
+    async indexDrawCombinations(game, concursos) {
+        const placeholders = concursos.map(() => '?').join(', ');
+        await this.db.run(`DELETE FROM Combinaciones WHERE JUEGO = ? AND CONCURSO IN (${placeholders})`, [game.id, ...concursos]);
+        for (let k = 1; k <= this.combinationSizeLimit(game); k++) {
+            const { sql, params } = buildCombinationsInsert(game, k, concursos);
+            await this.db.run(sql, params);
+        }
+    }
+
+    /**
+     * Recalcula todas las combinaciones de un juego desde su tabla de concursos.
+     * No abre transacciones: el llamador decide (reloadAllData y rollbackReload lo hacen al intercambiar tablas).
+     * @param {Object} game - Juego del registro (GameRegistry).
+     */
+    async rebuildCombinations(game) {
+        await this.db.run('DELETE FROM Combinaciones WHERE JUEGO = ?', [game.id]);
+        for (let k = 1; k <= this.combinationSizeLimit(game); k++) {
+            const { sql, params } = buildCombinationsInsert(game, k);
+            await this.db.run(sql, params);
+        }
+        logger.info(`Combinaciones de ${game.nombre} recalculadas (k = 1..${this.combinationSizeLimit(game)}).`);
+    }
 
-        // Log para la consulta generada
-        logger.debug(`Consulta SQL generada: ${query}`);
-        logger.debug(`Parámetros de la consulta: ${numeros.join(', ')}`);
+    /**
+     * Obtiene el histograma de una métrica de distribución (ver drawMetrics.mjs) sobre los concursos de un juego.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {string} metric - Nombre de la métrica (clave de METRICS).
+     * @param {Object} options - Opciones.
+     * @param {number} [options.ancho] - Ancho de los intervalos en las métricas ordinales; cada valor es el inicio de su intervalo.
+     * @param {Object} [options.filters] - Filtros de fecha (ver buildDrawFilters).
+     * @returns {Array<{valor: number|string, frecuencia: number}>} - Valores (o intervalos) en orden ascendente y su frecuencia.
+     * @throws {Error} - Si la métrica no existe.
+     */
+    async getMetricHistogram(game, metric, { ancho = 1, filters = {} } = {}) {
+        const definition = METRICS[metric];
+        if (!definition) {
+            throw new Error(`Métrica no soportada: ${metric}`);
+        }
+        const { where, params } = buildDrawFilters(filters);
+        const binned = definition.ordinal && ancho > 1;
+        const bucket = binned ? `(m.${definition.columna} / ?) * ?` : `m.${definition.columna}`;
+        // Solo se cruza con la tabla de concursos si hay filtros de fecha
+        const query = `
+            SELECT ${bucket} AS valor, COUNT(*) AS frecuencia
+            FROM Metricas m
+            ${where ? `JOIN (SELECT CONCURSO FROM ${game.tabla} ${where}) d ON d.CONCURSO = m.CONCURSO` : ''}
+            WHERE m.JUEGO = ?
+            GROUP BY valor
+            ORDER BY valor
+        `;
+        try {
+            return await this.db.all(query, [...(binned ? [ancho, ancho] : []), ...params, game.id]);
+        } catch (err) {
+            logger.error(`Error al obtener el histograma de ${metric}: ${err.message}`);
+            throw new Error("Failed to retrieve metric histogram");
+        }
+    }
 
-        // Ejecutar consulta con cada número duplicado para hacer coincidir los placeholders
-        const params = numeros.reduce((acc, num) => acc.concat(Array(6).fill(num)), []);
-        const result = await this.db.get(query, params);
+    /**
+     * Recalcula las métricas de distribución de algunos concursos de un juego (los insertados o corregidos en una carga).
+     * No abre transacciones: el llamador decide.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Array<number>} concursos - Concursos a recalcular.
+     */
+    async indexDrawMetrics(game, concursos) {
+        const placeholders = concursos.map(() => '?').join(', ');
+        const draws = await this.db.all(`SELECT * FROM ${game.tabla} WHERE CONCURSO IN (${placeholders})`, concursos);
+        await this.writeMetrics(game, draws);
+    }
 
-        // Log para el resultado de la consulta
-        logger.debug(`Resultado de la consulta: ${result.frecuencia}`);
+    /**
+     * Recalcula todas las métricas de distribución de un juego desde su tabla de concursos.
+     * No abre transacciones: el llamador decide (reloadAllData y rollbackReload lo hacen al intercambiar tablas).
+     * @param {Object} game - Juego del registro (GameRegistry).
+     */
+    async rebuildMetrics(game) {
+        await this.db.run('DELETE FROM Metricas WHERE JUEGO = ?', [game.id]);
+        await this.writeMetrics(game, await this.db.all(`SELECT * FROM ${game.tabla}`));
+        logger.info(`Métricas de ${game.nombre} recalculadas.`);
+    }
 
-        return result.frecuencia;
-    } catch (error) {
-        logger.error(`Error al buscar combinación: ${error.message}`);
-        throw new Error("Error al buscar combinación");
+    // Calcula y guarda las métricas de los concursos, reemplazando las que ya existan
+    async writeMetrics(game, draws) {
+        const columns = Object.values(METRICS).map(({ columna }) => columna);
+        const insert = await this.db.prepare(`
+            INSERT OR REPLACE INTO Metricas (JUEGO, CONCURSO, ${columns.join(', ')})
+            VALUES (?, ?, ${columns.map(() => '?').join(', ')})
+        `);
+        try {
+            for (const draw of draws) {
+                const metrics = computeDrawMetrics(game, drawNumbers(game, draw));
+                await insert.run([game.id, draw.CONCURSO, ...Object.keys(METRICS).map((metric) => metrics[metric])]);
+            }
+        } finally {
+            await insert.finalize();
+        }
+    }
+
+    /**
+     * Cuenta los concursos de un juego en los que salieron todos los números indicados, en cualquier
+     * posición de los números naturales (la bola adicional no cuenta). Acepta desde un número hasta tantos
+     * como bolas tiene el juego, sin depender de las combinaciones precalculadas.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Array<number>} numeros - Números buscados.
+     * @returns {number} - Número de concursos que contienen todos los números.
+     * @throws {Error} - Si ocurre un error en la consulta.
+     */
+    async findCombination(game, numeros) {
+        try {
+            const columns = mainColumns(game);
+            const condition = `(${columns.map((column) => `${column} = ?`).join(' OR ')})`;
+            const placeholders = Array(numeros.length).fill(condition).join(' AND ');
+            const query = `SELECT COUNT(*) AS frecuencia FROM ${game.tabla} WHERE ${placeholders}`;
+
+            // Log para la consulta generada
+            logger.debug(`Consulta SQL generada: ${query}`);
+            logger.debug(`Parámetros de la consulta: ${numeros.join(', ')}`);
+
+            // Ejecutar consulta con cada número duplicado para hacer coincidir los placeholders
+            const params = numeros.reduce((acc, num) => acc.concat(Array(columns.length).fill(num)), []);
+            const result = await this.db.get(query, params);
+
+            // Log para el resultado de la consulta
+            logger.debug(`Resultado de la consulta: ${result.frecuencia}`);
+
+            return result.frecuencia;
+        } catch (error) {
+            logger.error(`Error al buscar combinación: ${error.message}`);
+            throw new Error("Error al buscar combinación");
+        }
     }
-}
     
     // Método para verificar si la base de datos está conectada
     async isConnected() {
@@ -318,3 +1029,168 @@ async findCombination(numeros) {
     }
     
 }
+
+/**
+ * Construye la cláusula WHERE para filtrar concursos por fecha.
+ * @param {Object} filters - Filtros a aplicar.
+ * @param {string} [filters.desde] - Fecha ISO mínima (inclusive).
+ * @param {string} [filters.hasta] - Fecha ISO máxima (inclusive).
+ * @param {Array<number>} [filters.dias] - Días de la semana (0 = domingo).
+ * @param {Array<number>} [filters.anios] - Años.
+ * @returns {{where: string, params: Array}} - La cláusula (vacía si no hay filtros) y sus parámetros.
+ */
+export function buildDrawFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.desde) {
+        conditions.push('FECHA >= ?');
+        params.push(filters.desde);
+    }
+    if (filters.hasta) {
+        conditions.push('FECHA <= ?');
+        params.push(filters.hasta);
+    }
+    if (filters.dias?.length) {
+        conditions.push(`CAST(strftime('%w', FECHA) AS INTEGER) IN (${filters.dias.map(() => '?').join(', ')})`);
+        params.push(...filters.dias);
+    }
+    if (filters.anios?.length) {
+        conditions.push(`CAST(strftime('%Y', FECHA) AS INTEGER) IN (${filters.anios.map(() => '?').join(', ')})`);
+        params.push(...filters.anios);
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+/**
+ * Construye la cláusula WHERE de una búsqueda por números. Los criterios se evalúan sobre los números
+ * naturales del juego (R1..Rn), salvo 'adicional', y el concurso debe cumplirlos todos.
+ * @param {Object} game - Juego del registro (GameRegistry).
+ * @param {Object} criteria - Criterios de búsqueda.
+ * @param {Array<number>} [criteria.numeros] - Números buscados.
+ * @param {number} [criteria.minimo] - Cuántos de 'numeros' deben salir como mínimo; por defecto todos.
+ * @param {Array<number>} [criteria.exacto] - Números exactos del concurso, en cualquier orden.
+ * @param {Array<number>} [criteria.incluye] - Números que deben salir todos.
+ * @param {Array<number>} [criteria.excluye] - Números que no deben salir.
+ * @param {number} [criteria.adicional] - Número que debe salir como bola adicional.
+ * @param {number} [criteria.consecutivos] - Longitud mínima de una serie de números consecutivos (3: p. ej. 14, 15, 16).
+ * @returns {{where: string, params: Array}} - La cláusula (vacía si no hay criterios) y sus parámetros.
+ * @throws {Error} - Si se busca una bola adicional en un juego que no la tiene.
+ */
+export function buildNumberSearch(game, criteria = {}) {
+    const columns = mainColumns(game);
+    const drawn = `(${columns.join(', ')})`;
+    const conditions = [];
+    const params = [];
+    // Cada número cuenta una vez aunque salga repetido (juegos con repetición)
+    const present = (numbers) => numbers.map(() => `? IN ${drawn}`);
+    const list = (numbers) => `(${numbers.map(() => '?').join(', ')})`;
+
+    const { numeros, minimo, exacto, incluye, excluye, adicional, consecutivos } = criteria;
+    if (numeros?.length) {
+        conditions.push(`(${present(numeros).map((condition) => `(${condition})`).join(' + ')}) >= ?`);
+        params.push(...numeros, minimo ?? numeros.length);
+    }
+    if (exacto?.length) {
+        // Salen todos los números y no sale ningún otro
+        conditions.push(...present(exacto), ...columns.map((column) => `${column} IN ${list(exacto)}`));
+        params.push(...exacto, ...columns.flatMap(() => exacto));
+    }
+    if (incluye?.length) {
+        conditions.push(...present(incluye));
+        params.push(...incluye);
+    }
+    if (excluye?.length) {
+        conditions.push(...columns.map((column) => `${column} NOT IN ${list(excluye)}`));
+        params.push(...columns.flatMap(() => excluye));
+    }
+    if (adicional !== undefined && adicional !== null) {
+        const additional = additionalColumn(game);
+        if (!additional) {
+            throw new Error(`${game.nombre} no tiene bola adicional`);
+        }
+        conditions.push(`${additional} = ?`);
+        params.push(adicional);
+    }
+    if (consecutivos) {
+        // Algún número n del concurso tal que n + 1, ..., n + consecutivos - 1 también salieron
+        const offsets = Array.from({ length: Number(consecutivos) - 1 }, (_, i) => i + 1);
+        conditions.push(`(${columns.map((column) => `(${offsets.map((offset) => `${column} + ${offset} IN ${drawn}`).join(' AND ')})`).join(' OR ')})`);
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+// Combina dos cláusulas WHERE (ver buildDrawFilters) con AND
+function combineConditions(first, second) {
+    const conditions = [first.where, second.where].filter(Boolean).map((where) => where.replace(/^WHERE /, ''));
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params: [...first.params, ...second.params]
+    };
+}
+
+// Expresión de cada columna por la que se pueden ordenar los concursos; las bolsas vacías se ordenan como 0
+const SORT_KEYS = {
+    CONCURSO: 'CONCURSO',
+    FECHA: 'FECHA',
+    BOLSA: 'IFNULL(BOLSA, 0)'
+};
+
+// Columnas del SELECT: las solicitadas (o todas) más las que se necesitan internamente (p. ej. para el cursor).
+// Los nombres se validan contra las columnas de la tabla porque se interpolan en la consulta.
+function selectColumns(game, fields, required = []) {
+    const available = drawColumns(game);
+    if (!fields) {
+        return available;
+    }
+    const unknown = fields.find((field) => !available.includes(field));
+    if (unknown) {
+        throw new Error(`Columna no soportada: ${unknown}`);
+    }
+    return available.filter((column) => fields.includes(column) || required.includes(column));
+}
+
+// Deja en el concurso solo las columnas solicitadas
+function pickColumns(row, fields) {
+    return fields ? Object.fromEntries(fields.map((field) => [field, row[field]])) : row;
+}
+
+/**
+ * Construye el INSERT que calcula las combinaciones de k números de los concursos de un juego.
+ * Los números de cada concurso se convierten en filas (CONCURSO, POS, N, ADICIONAL) y las combinaciones
+ * se forman uniendo k de esas filas en orden ascendente de valor (y de posición ante valores iguales,
+ * para los juegos con repetición). ADICIONAL indica si la combinación incluye la bola adicional.
+ * INSERT OR IGNORE descarta la misma combinación repetida en un concurso (p. ej. '1,1' y '1,2' dos veces en Tris).
+ * @param {Object} game - Juego del registro (GameRegistry).
+ * @param {number} k - Tamaño de las combinaciones.
+ * @param {Array<number>} [concursos] - Concursos a procesar; por defecto todos.
+ * @returns {{sql: string, params: Array}} - La sentencia y sus parámetros.
+ */
+function buildCombinationsInsert(game, k, concursos) {
+    const additional = additionalColumn(game);
+    const filter = concursos ? `AND CONCURSO IN (${concursos.map(() => '?').join(', ')})` : '';
+    const sources = numberColumns(game).map((column, i) =>
+        `SELECT CONCURSO, ${i + 1} AS POS, ${column} AS N, ${column === additional ? 1 : 0} AS ADICIONAL FROM ${game.tabla} WHERE ${column} IS NOT NULL ${filter}`
+    );
+    const aliases = Array.from({ length: k }, (_, i) => `n${i + 1}`);
+    const joins = aliases.slice(1).map((alias, i) =>
+        `JOIN numeros ${alias} ON ${alias}.CONCURSO = n1.CONCURSO AND (${alias}.N > ${aliases[i]}.N OR (${alias}.N = ${aliases[i]}.N AND ${alias}.POS > ${aliases[i]}.POS))`
+    );
+
+    const sql = `
+        WITH numeros AS (${sources.join(' UNION ALL ')})
+        INSERT OR IGNORE INTO Combinaciones (JUEGO, K, COMBINACION, CONCURSO, ADICIONAL)
+        SELECT ?, ${k}, ${aliases.map((alias) => `${alias}.N`).join(" || ',' || ")}, n1.CONCURSO, ${aliases.map((alias) => `${alias}.ADICIONAL`).join(' + ')}
+        FROM numeros n1 ${joins.join(' ')}
+    `;
+    const params = concursos ? [...Array(sources.length).fill(concursos).flat(), game.id] : [game.id];
+    return { sql, params };
+}
@@ -0,0 +1,290 @@
+import logger from './logger.mjs';
+import fs from 'fs';
+import http from 'http';
+import fetch from 'node-fetch';
+import path from 'path';
+import https from 'https';
+import tls from 'tls';
+import crypto from 'crypto';
+
+// Tipos de fuente de datos que se pueden configurar en "fuente.tipo"
+export const SOURCE_TYPES = ['remota', 'local', 'fixture'];
+
+// Estados HTTP de error temporal: la descarga se reintenta
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Crea el agente HTTPS de las descargas.
+ * Con 'caFile' se confía, además de en las autoridades del sistema, en los certificados del archivo PEM
+ * indicado (p. ej. el certificado intermedio que el sitio de origen no envía). Deshabilitar la verificación
+ * de certificados queda como último recurso y se advierte en el log.
+ * @param {Object} options - Sección "descargas" de config.json.
+ * @param {string} [options.caFile] - Ruta del archivo PEM con certificados de CA adicionales.
+ * @param {boolean} [options.verificarCertificado] - Verificar el certificado del servidor.
+ * @returns {https.Agent}
+ * @throws {Error} - Si no se puede leer el archivo de CA.
+ */
+export function createHttpsAgent({ caFile = null, verificarCertificado = true } = {}) {
+    if (!verificarCertificado) {
+        logger.warn('La verificación de certificados TLS de las descargas está deshabilitada (descargas.verificarCertificado).');
+        return new https.Agent({ rejectUnauthorized: false });
+    }
+    if (!caFile) {
+        return new https.Agent();
+    }
+    return new https.Agent({ ca: [...tls.rootCertificates, fs.readFileSync(caFile, 'utf8')] });
+}
+
+/**
+ * Fuentes de datos del histórico.
+ *
+ * FileManager obtiene el CSV de cada juego a través de una fuente, que solo sabe abrir el contenido;
+ * los reintentos, la escritura atómica, el SHA-256 y el archivo de versiones quedan en FileManager, así
+ * que se comportan igual con cualquier fuente. Todas implementan:
+ *
+ * - describe(game): identificador del origen (URL o ruta), para los logs y los metadatos de la descarga.
+ * - open(game, previous, signal): abre el contenido. Con los metadatos de la descarga anterior puede
+ *   responder { noModificado: true }; si no, { body, etag, lastModified, length }, donde length son los
+ *   bytes esperados del contenido, o null si no se conocen. Los errores temporales se marcan con retryable.
+ * - close(): libera los recursos de la fuente.
+ */
+
+/**
+ * Clase HttpSource
+ *
+ * Descarga el CSV de la URL configurada en cada juego, con petición condicional (If-None-Match e
+ * If-Modified-Since) a partir de los metadatos de la descarga anterior.
+ */
+export class HttpSource {
+    /**
+     * Constructor de HttpSource
+     * @param {Object} options - Opciones de la fuente.
+     * @param {https.Agent} [options.agent] - Agente de las peticiones HTTPS (ver createHttpsAgent); las URL http
+     * usan el agente por defecto, ya que node-fetch rechaza un agente HTTPS para ellas.
+     */
+    constructor({ agent } = {}) {
+        this.agent = agent;
+    }
+
+    // Agente de cada petición según el protocolo de la URL (node-fetch acepta una función)
+    agentFor(url) {
+        return url.protocol === 'https:' ? this.agent : undefined;
+    }
+
+    describe(game) {
+        return this.url(game);
+    }
+
+    // URL de la que se descarga el CSV del juego
+    url(game) {
+        return game.url;
+    }
+
+    async open(game, previous, signal) {
+        const url = this.url(game);
+        const headers = {};
+        if (previous?.etag) {
+            headers['If-None-Match'] = previous.etag;
+        }
+        if (previous?.lastModified) {
+            headers['If-Modified-Since'] = previous.lastModified;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { agent: (parsedUrl) => this.agentFor(parsedUrl), headers, signal });
+        } catch (error) {
+            throw retryable(new Error(`Error en la función fetch de descarga: ${error.message}`));
+        }
+
+        if (response.status === 304) {
+            return { noModificado: true };
+        }
+        if (!response.ok) {
+            const error = new Error(`Error en la función fetch de descarga: ${response.status} ${response.statusText}`);
+            throw RETRYABLE_STATUS.includes(response.status) ? retryable(error) : error;
+        }
+        // Con Content-Encoding (p. ej. gzip) fetch entrega el contenido ya descomprimido, pero Content-Length
+        // es el tamaño comprimido, así que no sirve para detectar descargas incompletas
+        const compressed = response.headers.has('content-encoding');
+        return {
+            body: response.body,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            length: compressed ? null : Number(response.headers.get('content-length')) || null
+        };
+    }
+
+    async close() {}
+}
+
+/**
+ * Clase LocalSource
+ *
+ * Lee el CSV de un archivo local. Si la ruta es un directorio se busca en él el archivo de cada juego
+ * (su fileName); si es un archivo se usa para cualquier juego, lo que solo tiene sentido al sincronizar
+ * uno. El tamaño y la fecha de modificación hacen las veces de ETag.
+ */
+export class LocalSource {
+    /**
+     * Constructor de LocalSource
+     * @param {Object} options - Opciones de la fuente.
+     * @param {string} options.ruta - Archivo CSV o directorio con un CSV por juego.
+     * @throws {Error} - Si no se indica la ruta.
+     */
+    constructor({ ruta } = {}) {
+        if (!ruta) {
+            throw new Error('La fuente local requiere la ruta de un archivo o directorio (fuente.ruta)');
+        }
+        this.ruta = ruta;
+    }
+
+    describe(game) {
+        return fs.statSync(this.ruta, { throwIfNoEntry: false })?.isDirectory()
+            ? path.join(this.ruta, game.fileName)
+            : this.ruta;
+    }
+
+    async open(game, previous) {
+        const filePath = this.describe(game);
+        const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+        if (!stats?.isFile()) {
+            throw new Error(`No existe el archivo de ${game.nombre}: ${filePath}`);
+        }
+
+        const etag = `"${stats.size}-${Math.trunc(stats.mtimeMs)}"`;
+        if (previous?.etag === etag) {
+            return { noModificado: true };
+        }
+        return {
+            body: fs.createReadStream(filePath),
+            etag,
+            lastModified: stats.mtime.toUTCString(),
+            length: stats.size
+        };
+    }
+
+    async close() {}
+}
+
+/**
+ * Clase FixtureSource
+ *
+ * Levanta un servidor HTTP local que sirve los CSV de un directorio (por defecto los de src/fixtures) y
+ * descarga de él como lo haría HttpSource, así que el flujo descarga → validación → inserción completo,
+ * incluidas las peticiones condicionales, se puede ejecutar sin red (p. ej. en CI). El servidor se
+ * inicia con la primera descarga y no impide que el proceso termine. El origen que se registra es la
+ * ruta del archivo, no la URL, porque el puerto puede cambiar en cada ejecución.
+ */
+export class FixtureSource extends HttpSource {
+    /**
+     * Constructor de FixtureSource
+     * @param {Object} options - Opciones de la fuente.
+     * @param {string} options.ruta - Directorio con un CSV por juego (su fileName).
+     * @param {number} [options.puerto] - Puerto del servidor; con 0 se elige uno libre.
+     * @throws {Error} - Si no se indica la ruta.
+     */
+    constructor({ ruta, puerto = 0 } = {}) {
+        super();
+        if (!ruta) {
+            throw new Error('La fuente fixture requiere el directorio de los CSV (fuente.ruta)');
+        }
+        this.ruta = ruta;
+        this.puerto = puerto;
+        this.server = null;
+        this.listening = null;
+    }
+
+    describe(game) {
+        return path.join(this.ruta, game.fileName);
+    }
+
+    url(game) {
+        return `http://127.0.0.1:${this.server.address().port}/${encodeURIComponent(game.fileName)}`;
+    }
+
+    async open(game, previous, signal) {
+        await this.start();
+        return super.open(game, previous, signal);
+    }
+
+    /**
+     * Inicia el servidor, si no está iniciado.
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (!this.listening) {
+            this.server = http.createServer((req, res) => this.serve(req, res));
+            this.server.unref();
+            this.listening = new Promise((resolve, reject) => {
+                this.server.once('error', reject);
+                this.server.listen(this.puerto, '127.0.0.1', () => {
+                    logger.info(`Servidor de fixtures iniciado en el puerto ${this.server.address().port} (${this.ruta})`);
+                    resolve();
+                });
+            });
+        }
+        return this.listening;
+    }
+
+    // Sirve un CSV del directorio con ETag, Last-Modified y Content-Length, y responde 304 si no cambió
+    serve(req, res) {
+        const fileName = path.basename(decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+        const filePath = path.join(this.ruta, fileName);
+        const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+        if (req.method !== 'GET' || !stats?.isFile()) {
+            res.writeHead(req.method !== 'GET' ? 405 : 404).end();
+            return;
+        }
+
+        const content = fs.readFileSync(filePath);
+        const etag = `"${crypto.createHash('sha256').update(content).digest('hex').slice(0, 16)}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag }).end();
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Length': content.length,
+            'Last-Modified': stats.mtime.toUTCString(),
+            ETag: etag
+        }).end(content);
+    }
+
+    async close() {
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+            this.listening = null;
+        }
+    }
+}
+
+/**
+ * Crea la fuente de datos configurada.
+ * @param {Object} fuente - Sección "fuente" de config.json.
+ * @param {string} [fuente.tipo] - 'remota' (el sitio de origen, por defecto), 'local' o 'fixture'.
+ * @param {string} [fuente.ruta] - Archivo o directorio de las fuentes 'local' y 'fixture'.
+ * @param {number} [fuente.puerto] - Puerto del servidor de la fuente 'fixture'.
+ * @param {Object} descargas - Sección "descargas" de config.json (certificados de la fuente remota).
+ * @returns {HttpSource|LocalSource|FixtureSource}
+ * @throws {Error} - Si el tipo de fuente no existe.
+ */
+export function createDataSource(fuente = {}, descargas = {}) {
+    const { tipo = 'remota' } = fuente;
+    switch (tipo) {
+        case 'remota':
+            return new HttpSource({ agent: createHttpsAgent(descargas) });
+        case 'local':
+            return new LocalSource(fuente);
+        case 'fixture':
+            return new FixtureSource(fuente);
+        default:
+            throw new Error(`Tipo de fuente de datos desconocido: ${tipo}. Tipos válidos: ${SOURCE_TYPES.join(', ')}`);
+    }
+}
+
+function retryable(error) {
+    error.retryable = true;
+    return error;
+}
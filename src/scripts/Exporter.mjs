@@ -0,0 +1,110 @@
+import ExcelJS from 'exceljs';
+
+// Formatos de exportación soportados
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+/**
+ * Clase Exporter
+ *
+ * Escribe filas en un stream (p. ej. la respuesta HTTP) en formato CSV, NDJSON (una línea JSON por fila)
+ * o XLSX. Las filas se consumen de un iterable, síncrono o asíncrono, y se escriben conforme llegan
+ * respetando la contrapresión del stream, así que el tamaño de la exportación no depende de la memoria.
+ */
+export default class Exporter {
+    /**
+     * Constructor de Exporter
+     * @param {string} format - Formato de salida: 'csv', 'ndjson' o 'xlsx'.
+     * @throws {Error} - Si el formato no es soportado.
+     */
+    constructor(format) {
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error(`Formato de exportación no soportado: ${format}`);
+        }
+        this.format = format;
+        this.contentType = EXPORT_FORMATS[format].contentType;
+    }
+
+    /**
+     * Obtiene el nombre del archivo exportado.
+     * @param {string} baseName - Nombre sin extensión.
+     * @returns {string} - Nombre con la extensión del formato.
+     */
+    fileName(baseName) {
+        return `${baseName}.${EXPORT_FORMATS[this.format].extension}`;
+    }
+
+    /**
+     * Escribe las filas en el stream y lo cierra.
+     * Si el stream se destruye antes de terminar (p. ej. el cliente cerró la conexión), deja de leer filas.
+     * @param {Writable} stream - Stream de destino.
+     * @param {Array<string>} columns - Columnas, en orden; son las claves de cada fila.
+     * @param {Iterable<Object>|AsyncIterable<Object>} rows - Filas a exportar.
+     * @param {Object} options - Opciones.
+     * @param {string} [options.sheetName] - Nombre de la hoja (solo XLSX).
+     */
+    async write(stream, columns, rows, { sheetName = 'Datos' } = {}) {
+        if (this.format === 'xlsx') {
+            return writeXlsx(stream, columns, rows, sheetName);
+        }
+
+        if (this.format === 'csv') {
+            await writeChunk(stream, `${columns.map(csvValue).join(',')}\n`);
+        }
+        for await (const row of rows) {
+            if (stream.destroyed) {
+                return;
+            }
+            const line = this.format === 'csv'
+                ? columns.map((column) => csvValue(row[column])).join(',')
+                : JSON.stringify(Object.fromEntries(columns.map((column) => [column, row[column] ?? null])));
+            await writeChunk(stream, `${line}\n`);
+        }
+        stream.end();
+    }
+}
+
+// Escribe el libro XLSX en streaming: cada fila se confirma en cuanto se agrega
+async function writeXlsx(stream, columns, rows, sheetName) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map((column) => ({ header: column, key: column }));
+
+    for await (const row of rows) {
+        if (stream.destroyed) {
+            return;
+        }
+        sheet.addRow(row).commit();
+    }
+    sheet.commit();
+    // Cierra el archivo comprimido y el stream
+    await workbook.commit();
+}
+
+// Escribe un fragmento y, si el buffer del stream está lleno, espera a que se vacíe
+function writeChunk(stream, chunk) {
+    if (stream.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+        const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+    });
+}
+
+// Escapa un valor para CSV: entre comillas si contiene comas, comillas o saltos de línea
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -1,8 +1,26 @@
 import logger from './logger.mjs';
 import fs from 'fs';
-import fetch from 'node-fetch';
 import path from 'path';
-import https from 'https';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { HttpSource, createHttpsAgent, createDataSource } from './DataSource.mjs';
+
+/**
+ * Crea el FileManager de las sincronizaciones a partir de la configuración.
+ * @param {Object} config - Configuración (config.json); usa las secciones "fuente" y "descargas".
+ * @returns {FileManager}
+ * @throws {Error} - Si la fuente de datos configurada no es válida.
+ */
+export function createFileManager({ fuente, descargas = {} }) {
+    const { reintentos, espera, timeout, directorioArchivo } = descargas;
+    return new FileManager({
+        source: createDataSource(fuente, descargas),
+        retries: reintentos,
+        retryDelay: espera,
+        timeout,
+        archiveDirectory: directorioArchivo
+    });
+}
 
 /**
  * Clase FileManager
@@ -16,49 +34,172 @@ export default class FileManager {
     /**
      * Constructor de la clase FileManager
      * 
-     * @param {https.Agent} agent - Un agente HTTPS personalizado que se usará para ignorar la verificación de certificados SSL.
+     * @param {Object} options - Opciones de las descargas.
+     * @param {Object} [options.source] - Fuente de los CSV (ver DataSource.mjs); por defecto el sitio de origen.
+     * @param {number} [options.retries] - Reintentos después de un error temporal (red, tiempo agotado, 5xx, archivo incompleto).
+     * @param {number} [options.retryDelay] - Milisegundos de espera antes del primer reintento; se duplica en cada uno.
+     * @param {number} [options.timeout] - Milisegundos máximos de cada intento, incluida la descarga del contenido.
+     * @param {string} [options.archiveDirectory] - Directorio donde se archiva cada versión distinta de un archivo; sin él no se archiva.
      */
-    constructor(agent = new https.Agent({ rejectUnauthorized: false })) {
-        this.agent = agent;
+    constructor({ source = new HttpSource({ agent: createHttpsAgent() }), retries = 3, retryDelay = 1000, timeout = 30000, archiveDirectory = null } = {}) {
+        this.source = source;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.timeout = timeout;
+        this.archiveDirectory = archiveDirectory;
     }
 
     /**
-     * Descarga un archivo desde una URL específica y lo guarda en el directorio indicado.
+     * Obtiene el CSV de un juego de la fuente de datos y lo guarda en el directorio indicado.
+     *
+     * El contenido se escribe en un archivo temporal y se renombra al terminar, así que una descarga
+     * fallida nunca deja un archivo incompleto en su lugar. Junto al archivo se guardan sus metadatos
+     * (<archivo>.meta.json: origen, ETag, Last-Modified y SHA-256), que se usan para pedir el archivo de
+     * forma condicional: si la fuente indica que no cambió se conserva el archivo local. Cada versión
+     * distinta del contenido se copia al directorio de archivo con la fecha de descarga.
      * 
-     * @param {string} url - La URL desde donde se descargará el archivo.
+     * @param {Object} game - Juego del registro (GameRegistry); el archivo se guarda con su fileName.
      * @param {string} directory - El directorio donde se guardará el archivo.
-     * @param {string} fileName - El nombre con el que se guardará el archivo.
+     * @returns {Object} - { filePath, sha256, modificado, archivo }: modificado indica si el contenido cambió
+     *                     respecto a la descarga anterior y archivo es la copia archivada (o null).
      * 
-     * @throws {Error} Lanzará un error si la descarga falla o si ocurre algún problema
-     * durante el guardado del archivo.
+     * @throws {Error} Lanzará un error si la descarga falla después de los reintentos o si ocurre
+     * algún problema durante el guardado del archivo.
      */
-    async downloadFile(url, directory, fileName) {
+    async downloadFile(game, directory) {
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+        const { fileName } = game;
+        const filePath = path.join(directory, fileName);
+        const metaPath = `${filePath}.meta.json`;
+        const origen = this.source.describe(game);
+        const previous = readMetadata(metaPath, origen, filePath);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchOnce(game, origen, filePath, metaPath, previous);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.retries) {
+                    logger.error(`Error en el método downloadFile: ${error.message}`);
+                    throw error;
+                }
+                const delay = this.retryDelay * 2 ** attempt;
+                logger.warn(`Descarga de ${fileName} fallida (intento ${attempt + 1} de ${this.retries + 1}): ${error.message}. Reintentando en ${delay} ms.`);
+                await new Promise((resolve) => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // Hace un intento de descarga; los errores temporales se marcan con retryable
+    async fetchOnce(game, origen, filePath, metaPath, previous) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
         try {
-            if (!fs.existsSync(directory)) {
-                fs.mkdirSync(directory, { recursive: true });
+            const content = await this.source.open(game, previous, controller.signal);
+            if (content.noModificado) {
+                logger.info(`El archivo ${path.basename(filePath)} no ha cambiado en el origen (${origen}).`);
+                return { filePath, sha256: previous.sha256, modificado: false, archivo: null };
+            }
+
+            // Escribir el contenido en el archivo temporal calculando su SHA-256
+            const hash = crypto.createHash('sha256');
+            let bytes = 0;
+            try {
+                await pipeline(content.body, async function* (source) {
+                    for await (const chunk of source) {
+                        hash.update(chunk);
+                        bytes += chunk.length;
+                        yield chunk;
+                    }
+                }, fs.createWriteStream(tempPath));
+            } catch (error) {
+                throw retryable(new Error(`Descarga interrumpida: ${error.message}`));
             }
 
-            // Obtenemos el archivo desde la URL
-            const response = await fetch(url, { agent: this.agent }); // Usar el agente HTTPS personalizado
-            if (!response.ok) {
-                throw new Error(`Error en la función fetch de descarga: ${response.statusText}`);
+            if (content.length && bytes !== content.length) {
+                throw retryable(new Error(`Descarga incompleta: ${bytes} de ${content.length} bytes`));
             }
 
-            // Creamos el stream para escribir el archivo
-            const fileStream = fs.createWriteStream(path.join(directory, fileName));
-            await new Promise((resolve, reject) => {
-                response.body.pipe(fileStream);
-                response.body.on('error', (err) => {
-                    reject(err);
-                });
-                fileStream.on('finish', resolve);
+            const sha256 = hash.digest('hex');
+            const modificado = sha256 !== previous?.sha256;
+            fs.renameSync(tempPath, filePath);
+            const archivo = modificado ? this.archive(filePath, sha256) : null;
+
+            writeMetadata(metaPath, {
+                origen,
+                etag: content.etag,
+                lastModified: content.lastModified,
+                sha256,
+                fecha: new Date().toISOString()
             });
+            logger.info(`Archivo CSV guardado como ${path.basename(filePath)} en ${path.dirname(filePath)}${modificado ? '' : ' (sin cambios)'}`);
+            return { filePath, sha256, modificado, archivo };
+        } finally {
+            clearTimeout(timer);
+            fs.rmSync(tempPath, { force: true });
+        }
+    }
 
-            logger.info(`Archivo CSV guardado como ${fileName} en ${directory}`);
+    // Copia una versión del archivo al directorio de archivo, con la fecha de descarga en el nombre
+    archive(filePath, sha256) {
+        if (!this.archiveDirectory) {
+            return null;
+        }
+        try {
+            fs.mkdirSync(this.archiveDirectory, { recursive: true });
+            const { name, ext } = path.parse(filePath);
+            const fecha = new Date().toISOString().replace(/[:.]/g, '-');
+            const archivo = path.join(this.archiveDirectory, `${name}_${fecha}_${sha256.slice(0, 12)}${ext}`);
+            fs.copyFileSync(filePath, archivo);
+            logger.info(`Nueva versión de ${path.basename(filePath)} archivada en ${archivo}`);
+            return archivo;
         } catch (error) {
-            logger.error(`Error en el método downloadFile: ${error.message}`);
-            throw error;
+            // No archivar la versión no impide cargarla
+            logger.error(`No se pudo archivar ${filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Libera los recursos de la fuente de datos (p. ej. el servidor de fixtures).
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.source.close();
+    }
+
+    /**
+     * Calcula el SHA-256 de un archivo.
+     * @param {string} filePath - Ruta del archivo.
+     * @returns {Promise<string>} - Hash en hexadecimal.
+     */
+    async hashFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Guarda un objeto como archivo JSON en el directorio indicado.
+     * 
+     * @param {string} directory - El directorio donde se guardará el archivo.
+     * @param {string} fileName - El nombre con el que se guardará el archivo.
+     * @param {Object} data - El contenido a guardar.
+     * @returns {string} La ruta del archivo guardado.
+     */
+    saveJSON(directory, fileName, data) {
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
         }
+
+        const filePath = path.join(directory, fileName);
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+        return filePath;
     }
 
     /**
@@ -72,3 +213,24 @@ export default class FileManager {
         return fs.existsSync(path.join(directory, fileName));
     }
 }
+
+// Lee los metadatos de la descarga anterior; solo sirven si son del mismo origen y el archivo sigue en su lugar
+function readMetadata(metaPath, origen, filePath) {
+    try {
+        const metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+        return metadata.origen === origen && fs.existsSync(filePath) ? metadata : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeMetadata(metaPath, metadata) {
+    const tempPath = `${metaPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(metadata, null, 2));
+    fs.renameSync(tempPath, metaPath);
+}
+
+function retryable(error) {
+    error.retryable = true;
+    return error;
+}
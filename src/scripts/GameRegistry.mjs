@@ -0,0 +1,146 @@
+/**
+ * Clase GameRegistry
+ *
+ * Mantiene el catálogo de juegos soportados (Melate, Revancha, Revanchita, Chispazo, Tris).
+ * Cada juego declara su URL de origen, la tabla donde se almacenan sus concursos, el número
+ * de bolas, el rango de valores, si cuenta con bola adicional y, opcionalmente, el horario
+ * (expresión cron) de su sincronización, sus categorías de premio y el precio del boleto.
+ * Cada categoría declara los aciertos que exige y su premio estimado: un monto fijo ('monto')
+ * o la bolsa acumulada del concurso ('bolsa': true).
+ */
+export default class GameRegistry {
+    /**
+     * Constructor de GameRegistry
+     * @param {Object} juegos - Definición de los juegos, indexada por identificador (sección "juegos" de config.json).
+     * @param {string} defaultGame - Identificador del juego usado cuando no se especifica uno.
+     * @throws {Error} - Si algún juego está mal definido o el juego por defecto no existe.
+     */
+    constructor(juegos = {}, defaultGame) {
+        this.games = new Map();
+
+        for (const [id, definition] of Object.entries(juegos)) {
+            this.games.set(id, normalizeGame(id, definition));
+        }
+
+        if (this.games.size === 0) {
+            throw new Error("No hay juegos definidos en la configuración.");
+        }
+
+        this.defaultId = defaultGame || this.games.keys().next().value;
+        if (!this.games.has(this.defaultId)) {
+            throw new Error(`El juego por defecto '${this.defaultId}' no está definido.`);
+        }
+    }
+
+    /**
+     * Obtiene la definición de un juego.
+     * @param {string} id - Identificador del juego (p. ej. 'melate').
+     * @returns {Object|undefined} - El juego, o undefined si no existe.
+     */
+    get(id) {
+        return this.games.get(String(id).toLowerCase());
+    }
+
+    /**
+     * Obtiene el juego por defecto.
+     * @returns {Object} - El juego por defecto.
+     */
+    getDefault() {
+        return this.games.get(this.defaultId);
+    }
+
+    /**
+     * Lista todos los juegos registrados.
+     * @returns {Array<Object>} - Los juegos en el orden en que fueron declarados.
+     */
+    list() {
+        return [...this.games.values()];
+    }
+}
+
+/**
+ * Obtiene las columnas de los números naturales de un juego (R1..Rn).
+ * @param {Object} game - Definición del juego.
+ * @returns {Array<string>} - Nombres de las columnas.
+ */
+export function mainColumns(game) {
+    return Array.from({ length: game.bolas }, (_, i) => `R${i + 1}`);
+}
+
+/**
+ * Obtiene la columna de la bola adicional de un juego (R7 en Melate).
+ * @param {Object} game - Definición del juego.
+ * @returns {string|null} - Nombre de la columna, o null si el juego no tiene bola adicional.
+ */
+export function additionalColumn(game) {
+    return game.adicional ? `R${game.bolas + 1}` : null;
+}
+
+/**
+ * Obtiene todas las columnas de números de un juego, incluyendo la adicional.
+ * @param {Object} game - Definición del juego.
+ * @returns {Array<string>} - Nombres de las columnas.
+ */
+export function numberColumns(game) {
+    const additional = additionalColumn(game);
+    return additional ? [...mainColumns(game), additional] : mainColumns(game);
+}
+
+/**
+ * Obtiene todas las columnas de la tabla de concursos de un juego, en el orden de la tabla.
+ * @param {Object} game - Definición del juego.
+ * @returns {Array<string>} - Nombres de las columnas.
+ */
+export function drawColumns(game) {
+    return ['CONCURSO', 'NPRODUCTO', ...numberColumns(game), 'BOLSA', 'FECHA'];
+}
+
+// Valida y completa la definición de un juego
+function normalizeGame(id, definition) {
+    const game = {
+        id: id.toLowerCase(),
+        nombre: definition.nombre || id,
+        url: definition.url,
+        tabla: definition.tabla,
+        fileName: definition.fileName || `${id.toLowerCase()}.csv`,
+        bolas: definition.bolas,
+        minimo: definition.minimo,
+        maximo: definition.maximo,
+        adicional: Boolean(definition.adicional),
+        repeticion: Boolean(definition.repeticion),
+        horario: definition.horario,
+        premios: definition.premios || [],
+        precioBoleto: definition.precioBoleto ?? null
+    };
+
+    // El nombre de la tabla se interpola en las consultas SQL, así que solo se aceptan identificadores simples
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(game.tabla || '')) {
+        throw new Error(`Nombre de tabla inválido para el juego '${id}': ${game.tabla}`);
+    }
+    if (!Number.isInteger(game.bolas) || game.bolas < 1) {
+        throw new Error(`Número de bolas inválido para el juego '${id}': ${game.bolas}`);
+    }
+    if (!Number.isInteger(game.minimo) || !Number.isInteger(game.maximo) || game.minimo > game.maximo) {
+        throw new Error(`Rango de números inválido para el juego '${id}': ${game.minimo}-${game.maximo}`);
+    }
+    if (!game.repeticion && game.maximo - game.minimo + 1 < game.bolas) {
+        throw new Error(`El rango del juego '${id}' no alcanza para ${game.bolas} números distintos.`);
+    }
+    if (game.precioBoleto !== null && !(Number.isFinite(game.precioBoleto) && game.precioBoleto > 0)) {
+        throw new Error(`Precio de boleto inválido para el juego '${id}': ${game.precioBoleto}`);
+    }
+    // Las categorías se evalúan en el orden declarado, de la mayor a la menor
+    for (const premio of game.premios) {
+        if (!premio.nombre || !Number.isInteger(premio.aciertos) || premio.aciertos < 1 || premio.aciertos > game.bolas) {
+            throw new Error(`Categoría de premio inválida para el juego '${id}': ${JSON.stringify(premio)}`);
+        }
+        if (premio.monto !== undefined && !(Number.isFinite(premio.monto) && premio.monto >= 0)) {
+            throw new Error(`Monto inválido en la categoría '${premio.nombre}' del juego '${id}': ${premio.monto}`);
+        }
+        if (premio.adicional && !game.adicional) {
+            throw new Error(`La categoría '${premio.nombre}' del juego '${id}' requiere bola adicional y el juego no la tiene.`);
+        }
+    }
+
+    return game;
+}
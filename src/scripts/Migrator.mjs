@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import logger from './logger.mjs';
+
+// Directorio por defecto de las migraciones: src/scripts/migrations
+const DEFAULT_MIGRATIONS_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+/**
+ * Clase Migrator
+ *
+ * Aplica las migraciones versionadas del esquema de la base de datos. Cada migración es un módulo
+ * 'NNN_descripcion.mjs' del directorio de migraciones que exporta una descripción y una función up.
+ * Las versiones aplicadas se registran en la tabla schema_version y cada migración se ejecuta en su
+ * propia transacción junto con su registro.
+ */
+export default class Migrator {
+    /**
+     * Constructor de Migrator
+     * @param {Object} db - Conexión abierta (sqlite).
+     * @param {Object} options - Opciones.
+     * @param {Array<Object>} [options.games] - Juegos del registro; las migraciones los usan para conocer las tablas.
+     * @param {DBManager} [options.dbManager] - DBManager dueño de la conexión, para las migraciones que rellenan datos derivados.
+     * @param {string} [options.directory] - Directorio de las migraciones.
+     */
+    constructor(db, { games = [], dbManager = null, directory = DEFAULT_MIGRATIONS_DIRECTORY } = {}) {
+        this.db = db;
+        this.games = games;
+        this.dbManager = dbManager;
+        this.directory = directory;
+    }
+
+    /**
+     * Carga las migraciones disponibles, ordenadas por versión.
+     * @returns {Array<Object>} - Migraciones ({ version, nombre, descripcion, up }).
+     * @throws {Error} - Si algún archivo no tiene el formato esperado o hay versiones repetidas.
+     */
+    async loadMigrations() {
+        const files = fs.readdirSync(this.directory).filter((file) => file.endsWith('.mjs')).sort();
+        const migrations = [];
+
+        for (const file of files) {
+            const match = file.match(/^(\d+)_(.+)\.mjs$/);
+            if (!match) {
+                throw new Error(`Nombre de migración inválido: ${file} (se espera NNN_descripcion.mjs)`);
+            }
+
+            const module = await import(pathToFileURL(path.join(this.directory, file)).href);
+            if (typeof module.up !== 'function') {
+                throw new Error(`La migración ${file} no exporta una función 'up'`);
+            }
+
+            const version = Number(match[1]);
+            if (migrations.some((migration) => migration.version === version)) {
+                throw new Error(`Versión de migración repetida: ${version}`);
+            }
+            migrations.push({ version, nombre: match[2], descripcion: module.description || match[2], up: module.up });
+        }
+
+        return migrations.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Crea la tabla schema_version si no existe.
+     */
+    async ensureVersionTable() {
+        await this.db.run(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                VERSION INTEGER PRIMARY KEY,
+                DESCRIPCION TEXT NOT NULL,
+                APLICADA TEXT NOT NULL
+            );
+        `);
+    }
+
+    /**
+     * Obtiene el estado de las migraciones.
+     * @returns {{actual: number, aplicadas: Array<Object>, pendientes: Array<Object>}} - Versión actual, migraciones aplicadas y pendientes.
+     */
+    async status() {
+        await this.ensureVersionTable();
+        const aplicadas = await this.db.all('SELECT VERSION, DESCRIPCION, APLICADA FROM schema_version ORDER BY VERSION');
+        const applied = new Set(aplicadas.map((row) => row.VERSION));
+        const pendientes = (await this.loadMigrations())
+            .filter((migration) => !applied.has(migration.version))
+            .map(({ version, descripcion }) => ({ version, descripcion }));
+
+        return { actual: aplicadas.length ? aplicadas[aplicadas.length - 1].VERSION : 0, aplicadas, pendientes };
+    }
+
+    /**
+     * Aplica las migraciones pendientes en orden.
+     * En modo dryRun cada migración se ejecuta dentro de su transacción y se revierte: se verifica que
+     * funcione y se reporta el SQL que ejecutaría, sin modificar la base de datos.
+     * @param {Object} options - Opciones.
+     * @param {boolean} [options.dryRun] - Ejecutar sin confirmar los cambios.
+     * @returns {Array<Object>} - Migraciones procesadas ({ version, descripcion, sql }).
+     * @throws {Error} - Si una migración falla; las anteriores quedan aplicadas y la fallida se revierte.
+     */
+    async migrate({ dryRun = false } = {}) {
+        await this.ensureVersionTable();
+        const applied = new Set((await this.db.all('SELECT VERSION FROM schema_version')).map((row) => row.VERSION));
+        const pending = (await this.loadMigrations()).filter((migration) => !applied.has(migration.version));
+        const results = [];
+
+        for (const migration of pending) {
+            const sql = [];
+            const trace = (statement) => sql.push(statement.trim());
+            this.db.on('trace', trace);
+
+            try {
+                await this.db.run('BEGIN TRANSACTION');
+                await migration.up(this.db, { games: this.games, dbManager: this.dbManager });
+                await this.db.run(
+                    'INSERT INTO schema_version (VERSION, DESCRIPCION, APLICADA) VALUES (?, ?, ?)',
+                    [migration.version, migration.descripcion, new Date().toISOString()]
+                );
+                await this.db.run(dryRun ? 'ROLLBACK' : 'COMMIT');
+            } catch (err) {
+                await this.db.run('ROLLBACK').catch(() => {});
+                throw new Error(`Error aplicando la migración ${migration.version} (${migration.nombre}): ${err.message}`);
+            } finally {
+                this.db.getDatabaseInstance().removeListener('trace', trace);
+            }
+
+            // Solo interesan las sentencias que modifican el esquema o los datos, no las consultas, el control
+            // de transacción ni el registro de la versión
+            results.push({
+                version: migration.version,
+                descripcion: migration.descripcion,
+                sql: sql.filter((statement) => !/^(SELECT|BEGIN|COMMIT|ROLLBACK|INSERT INTO schema_version)/i.test(statement))
+            });
+            logger.info(dryRun
+                ? `[dry-run] Migración ${migration.version} verificada y revertida: ${migration.descripcion}`
+                : `Migración ${migration.version} aplicada: ${migration.descripcion}`);
+        }
+
+        return results;
+    }
+}
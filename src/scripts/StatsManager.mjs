@@ -0,0 +1,340 @@
+import { mainColumns, additionalColumn } from './GameRegistry.mjs';
+import { toISODate } from './dateUtils.mjs';
+import { METRICS, computeDrawMetrics } from './drawMetrics.mjs';
+
+/**
+ * Convierte un monto a la moneda actual (p. ej. los viejos pesos anteriores a 1993 a pesos actuales).
+ * Lo usan las estadísticas de la bolsa y el backtesting para que los montos de toda la serie sean comparables.
+ * @param {number} amount - Monto en la moneda vigente en la fecha del concurso.
+ * @param {string} fecha - Fecha del concurso.
+ * @param {Object|null} redenominacion - { antesDe, divisor }: los montos anteriores a 'antesDe' se dividen entre 'divisor'.
+ * @returns {number}
+ */
+export function toCurrentCurrency(amount, fecha, redenominacion) {
+    if (!redenominacion || !(toISODate(fecha) < redenominacion.antesDe)) {
+        return amount;
+    }
+    return round(amount / redenominacion.divisor);
+}
+
+/**
+ * Clase StatsManager
+ *
+ * Calcula estadísticas sobre la serie histórica de concursos de un juego: por número, de la bolsa
+ * acumulada (BOLSA) y de las métricas de distribución de cada concurso (suma, pares, bajos...).
+ * Las consultas se hacen con DBManager; los cálculos se hacen en memoria sobre la serie ordenada por
+ * concurso, salvo los histogramas de las métricas, que se agrupan en la base de datos.
+ */
+export default class StatsManager {
+    /**
+     * Constructor de StatsManager
+     * @param {DBManager} dbManager - Instancia de DBManager con la conexión a la base de datos.
+     * @param {Object} options - Opciones.
+     * @param {number} [options.ventana] - Concursos recientes usados para clasificar números calientes y fríos.
+     * @param {number} [options.umbral] - Desviación relativa respecto a la frecuencia esperada para considerar un número caliente o frío.
+     * @param {Object} [options.bolsa] - Opciones del análisis de la bolsa.
+     * @param {number} [options.bolsa.umbralReinicio] - Caída relativa de la bolsa entre dos concursos que indica que se ganó.
+     * @param {number} [options.bolsa.ventana] - Incrementos recientes usados para proyectar la siguiente bolsa.
+     * @param {number} [options.bolsa.top] - Número de bolsas más grandes a reportar.
+     * @param {Object} [options.bolsa.redenominacion] - Cambio de moneda: las bolsas anteriores a 'antesDe' se dividen entre 'divisor'.
+     * @param {Object} [options.patrones] - Opciones de las métricas de distribución.
+     * @param {number} [options.patrones.anchoSuma] - Ancho de los intervalos del histograma de la suma.
+     * @param {number} [options.patrones.coberturaTipica] - Proporción de los concursos que cubren los valores típicos de cada métrica.
+     */
+    constructor(dbManager, { ventana = 50, umbral = 0.25, bolsa = {}, patrones = {} } = {}) {
+        this.dbManager = dbManager;
+        this.ventana = ventana;
+        this.umbral = umbral;
+        this.bolsa = { umbralReinicio: 0.1, ventana: 10, top: 10, redenominacion: null, ...bolsa };
+        this.patrones = { anchoSuma: 10, coberturaTipica: 0.9, ...patrones };
+    }
+
+    /**
+     * Obtiene las estadísticas de cada número del juego: frecuencia, última aparición, brechas y
+     * clasificación caliente/fría en los últimos concursos. Si el juego tiene bola adicional, calcula
+     * las mismas estadísticas para ella por separado.
+     *
+     * La brecha es el número de concursos consecutivos en los que un número no salió. La brecha actual
+     * cuenta los concursos desde su última aparición; la promedio y la máxima se calculan entre apariciones
+     * (la máxima también considera la brecha actual).
+     *
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} filters - Filtros de fecha (ver buildDrawFilters).
+     * @param {Object} options - Opciones.
+     * @param {number} [options.ventana] - Concursos recientes para la clasificación caliente/fría.
+     * @returns {Object} - { juego, concursos, ventana, numeros, adicional }
+     */
+    async getNumberStatistics(game, filters = {}, { ventana = this.ventana } = {}) {
+        const draws = await this.dbManager.getDraws(game, filters);
+        const window = Math.min(ventana, draws.length);
+        const additional = additionalColumn(game);
+
+        return {
+            juego: game.id,
+            concursos: draws.length,
+            ventana: window,
+            numeros: this.computeNumberStatistics(game, draws, mainColumns(game), window),
+            adicional: additional ? this.computeNumberStatistics(game, draws, [additional], window) : null
+        };
+    }
+
+    // Calcula las estadísticas de cada número del rango del juego en las columnas indicadas
+    computeNumberStatistics(game, draws, columns, window) {
+        const rangeSize = game.maximo - game.minimo + 1;
+        // Frecuencia esperada de cada número en la ventana si todos fueran igual de probables
+        const expected = window * columns.length / rangeSize;
+        const windowStart = draws.length - window;
+
+        const stats = new Map();
+        for (let numero = game.minimo; numero <= game.maximo; numero++) {
+            stats.set(numero, { numero, frecuencia: 0, frecuenciaVentana: 0, apariciones: [] });
+        }
+
+        draws.forEach((draw, index) => {
+            const seen = new Set();
+            for (const column of columns) {
+                const entry = stats.get(draw[column]);
+                if (!entry) {
+                    continue;
+                }
+                entry.frecuencia++;
+                if (index >= windowStart) {
+                    entry.frecuenciaVentana++;
+                }
+                // En juegos con repetición un número puede salir dos veces en el mismo concurso
+                if (!seen.has(draw[column])) {
+                    entry.apariciones.push(index);
+                    seen.add(draw[column]);
+                }
+            }
+        });
+
+        return [...stats.values()].map(({ numero, frecuencia, frecuenciaVentana, apariciones }) => {
+            const gaps = apariciones.slice(1).map((index, i) => index - apariciones[i] - 1);
+            const last = apariciones.length ? apariciones[apariciones.length - 1] : null;
+            const brechaActual = last === null ? draws.length : draws.length - 1 - last;
+
+            return {
+                numero,
+                frecuencia,
+                ultimoConcurso: last === null ? null : draws[last].CONCURSO,
+                ultimaFecha: last === null ? null : draws[last].FECHA,
+                brechaActual,
+                brechaPromedio: gaps.length ? round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) : null,
+                brechaMaxima: Math.max(brechaActual, ...gaps),
+                frecuenciaVentana,
+                estado: this.classify(frecuenciaVentana, expected)
+            };
+        });
+    }
+
+    /**
+     * Obtiene la serie de la bolsa acumulada, concurso por concurso, con el cambio respecto al concurso anterior.
+     * Cada concurso se marca como 'acumulado' si la bolsa creció o se mantuvo (nadie ganó el concurso anterior)
+     * o como 'reinicio' si cayó más que umbralReinicio (el concurso anterior tuvo ganador). El primer concurso
+     * de la serie se marca como 'inicio'. Los concursos sin bolsa registrada (vacía o 0) se omiten.
+     * Las bolsas se expresan en la moneda actual (ver la opción redenominacion).
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} filters - Filtros de fecha (ver buildDrawFilters).
+     * @returns {Array<Object>} - [{ concurso, fecha, bolsa, cambio, evento }]
+     */
+    async getJackpotSeries(game, filters = {}) {
+        const draws = await this.dbManager.getDraws(game, filters);
+        return this.computeJackpotSeries(draws);
+    }
+
+    /**
+     * Resume la serie de la bolsa: bolsas ganadas, bolsas más grandes, crecimiento promedio por concurso
+     * acumulado, racha actual sin ganador y la proyección de la bolsa del siguiente concurso, que suma a la
+     * última bolsa el crecimiento promedio de los últimos incrementos.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} filters - Filtros de fecha (ver buildDrawFilters).
+     * @param {Object} options - Opciones.
+     * @param {number} [options.ventana] - Incrementos recientes usados para la proyección.
+     * @param {number} [options.top] - Número de bolsas más grandes a reportar.
+     * @returns {Object} - { juego, concursos, ganadas, mayores, crecimientoPromedio, rachaActual, rachaMaxima, ultima, proyeccion }
+     */
+    async getJackpotSummary(game, filters = {}, { ventana = this.bolsa.ventana, top = this.bolsa.top } = {}) {
+        const series = await this.getJackpotSeries(game, filters);
+        const increments = series.filter((entry) => entry.evento === 'acumulado').map((entry) => entry.cambio);
+        const recent = [];
+        // Incrementos de la racha actual y, si no alcanzan, de las anteriores, del más reciente al más antiguo
+        for (let i = series.length - 1; i > 0 && recent.length < ventana; i--) {
+            if (series[i].evento === 'acumulado') {
+                recent.push(series[i].cambio);
+            }
+        }
+
+        // Un reinicio en el concurso i indica que la bolsa del concurso i - 1 se ganó
+        const ganadas = series
+            .map((entry, i) => (entry.evento === 'reinicio' ? series[i - 1] : null))
+            .filter(Boolean)
+            .map(({ concurso, fecha, bolsa }) => ({ concurso, fecha, bolsa }));
+
+        let rachaActual = 0;
+        let rachaMaxima = 0;
+        for (const entry of series) {
+            rachaActual = entry.evento === 'acumulado' ? rachaActual + 1 : 0;
+            rachaMaxima = Math.max(rachaMaxima, rachaActual);
+        }
+
+        const ultima = series.length ? series[series.length - 1] : null;
+        const crecimientoReciente = recent.length ? average(recent) : null;
+
+        return {
+            juego: game.id,
+            concursos: series.length,
+            ganadas,
+            mayores: [...series]
+                .sort((a, b) => b.bolsa - a.bolsa)
+                .slice(0, top)
+                .map(({ concurso, fecha, bolsa }) => ({ concurso, fecha, bolsa })),
+            crecimientoPromedio: increments.length ? round(average(increments)) : null,
+            rachaActual,
+            rachaMaxima,
+            ultima: ultima && { concurso: ultima.concurso, fecha: ultima.fecha, bolsa: ultima.bolsa },
+            proyeccion: ultima && crecimientoReciente !== null
+                ? { concurso: ultima.concurso + 1, bolsa: round(ultima.bolsa + crecimientoReciente), crecimiento: round(crecimientoReciente), incrementos: recent.length }
+                : null
+        };
+    }
+
+    // Calcula el cambio y el evento (acumulado/reinicio) de cada concurso con bolsa registrada
+    computeJackpotSeries(draws) {
+        const series = [];
+        for (const draw of draws) {
+            if (!(draw.BOLSA > 0)) {
+                continue;
+            }
+            const bolsa = this.toCurrentCurrency(draw.BOLSA, draw.FECHA);
+            const previous = series[series.length - 1];
+            let evento = 'inicio';
+            if (previous) {
+                evento = bolsa < previous.bolsa * (1 - this.bolsa.umbralReinicio) ? 'reinicio' : 'acumulado';
+            }
+            series.push({
+                concurso: draw.CONCURSO,
+                fecha: draw.FECHA,
+                bolsa,
+                cambio: previous ? round(bolsa - previous.bolsa) : null,
+                evento
+            });
+        }
+        return series;
+    }
+
+    // Convierte una bolsa a la moneda actual con la redenominación configurada
+    toCurrentCurrency(amount, fecha) {
+        return toCurrentCurrency(amount, fecha, this.bolsa.redenominacion);
+    }
+
+    /**
+     * Obtiene los histogramas de las métricas de distribución de los concursos (ver drawMetrics.mjs).
+     * La suma se agrupa en intervalos de 'ancho' (valor es el inicio del intervalo y hasta su fin);
+     * las demás métricas se cuentan por valor.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} filters - Filtros de fecha (ver buildDrawFilters).
+     * @param {Object} options - Opciones.
+     * @param {number} [options.ancho] - Ancho de los intervalos de la suma.
+     * @returns {Object} - { juego, concursos, ancho, histogramas: { metrica: [{ valor, hasta, frecuencia, porcentaje }] } }
+     */
+    async getPatternHistograms(game, filters = {}, { ancho = this.patrones.anchoSuma } = {}) {
+        const histogramas = {};
+        for (const metric of Object.keys(METRICS)) {
+            histogramas[metric] = await this.dbManager.getMetricHistogram(game, metric, { ancho: metricWidth(metric, ancho), filters });
+        }
+
+        // Todas las métricas cuentan los mismos concursos
+        const concursos = histogramas.suma.reduce((sum, { frecuencia }) => sum + frecuencia, 0);
+        for (const [metric, histogram] of Object.entries(histogramas)) {
+            const width = metricWidth(metric, ancho);
+            histogramas[metric] = histogram.map(({ valor, frecuencia }) => ({
+                valor,
+                ...(width > 1 ? { hasta: valor + width - 1 } : {}),
+                frecuencia,
+                porcentaje: round(frecuencia / concursos * 100)
+            }));
+        }
+
+        return { juego: game.id, concursos, ancho, histogramas };
+    }
+
+    /**
+     * Compara un boleto con los histogramas de las métricas de distribución: para cada métrica da el valor del
+     * boleto, cuántos concursos tuvieron ese valor (o intervalo) y, en las métricas ordinales, su percentil.
+     * El valor de una métrica es 'tipico' si está entre los valores más frecuentes que juntos suman coberturaTipica
+     * de los concursos (p. ej. el 90%), y 'atipico' si no; el boleto es típico si lo son todas sus métricas.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Array<number>} numbers - Números del boleto.
+     * @param {Object} filters - Filtros de fecha (ver buildDrawFilters).
+     * @param {Object} options - Opciones.
+     * @param {number} [options.ancho] - Ancho de los intervalos de la suma.
+     * @returns {Object} - { juego, concursos, numeros, metricas: { metrica: { valor, frecuencia, porcentaje, percentil, estado } }, tipico }
+     */
+    async checkTicketPatterns(game, numbers, filters = {}, { ancho = this.patrones.anchoSuma } = {}) {
+        const { concursos, histogramas } = await this.getPatternHistograms(game, filters, { ancho });
+        const values = computeDrawMetrics(game, numbers);
+
+        const metricas = {};
+        for (const [metric, { ordinal }] of Object.entries(METRICS)) {
+            const width = metricWidth(metric, ancho);
+            const key = ordinal ? Math.floor(values[metric] / width) * width : values[metric];
+            const histogram = histogramas[metric];
+            const frecuencia = histogram.find((entry) => entry.valor === key)?.frecuencia ?? 0;
+            const share = concursos > 0 ? frecuencia / concursos : 0;
+            // Concursos cubiertos por los valores más frecuentes que el del boleto
+            const moreFrequent = histogram.filter((entry) => entry.frecuencia > frecuencia).reduce((sum, entry) => sum + entry.frecuencia, 0);
+
+            let percentil = null;
+            if (ordinal && concursos > 0) {
+                // Concursos con un valor menor más la mitad de los que tienen el mismo valor
+                const below = histogram.filter((entry) => entry.valor < key).reduce((sum, entry) => sum + entry.frecuencia, 0);
+                percentil = round((below + frecuencia / 2) / concursos * 100);
+            }
+
+            metricas[metric] = {
+                valor: values[metric],
+                frecuencia,
+                porcentaje: round(share * 100),
+                percentil,
+                estado: frecuencia > 0 && moreFrequent < concursos * this.patrones.coberturaTipica ? 'tipico' : 'atipico'
+            };
+        }
+
+        return {
+            juego: game.id,
+            concursos,
+            numeros: numbers,
+            metricas,
+            tipico: Object.values(metricas).every(({ estado }) => estado === 'tipico')
+        };
+    }
+
+    // Clasifica un número según su frecuencia en la ventana frente a la esperada
+    classify(frequency, expected) {
+        if (expected === 0) {
+            return 'neutral';
+        }
+        const ratio = frequency / expected;
+        if (ratio >= 1 + this.umbral) {
+            return 'caliente';
+        }
+        if (ratio <= 1 - this.umbral) {
+            return 'fria';
+        }
+        return 'neutral';
+    }
+}
+
+// Solo la suma se agrupa en intervalos; las demás métricas tienen pocos valores posibles
+function metricWidth(metric, ancho) {
+    return metric === 'suma' ? ancho : 1;
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
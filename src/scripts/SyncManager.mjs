@@ -0,0 +1,325 @@
+import cron from 'node-cron';
+import logger from './logger.mjs';
+import { CsvValidationError } from './CsvValidator.mjs';
+import { syncDuration, syncRows } from './metrics.mjs';
+
+/**
+ * Clase SyncManager
+ *
+ * Sincroniza el histórico de cada juego: descarga el CSV con FileManager y lo carga con DBManager
+ * según el modo de operación. En el modo insertNewOnly la carga se omite si el archivo descargado es
+ * idéntico (mismo SHA-256) al de la última sincronización exitosa. Las sincronizaciones se programan con expresiones cron, nunca se
+ * ejecutan dos a la vez (las programadas esperan su turno en una cola) y cada una queda registrada en la tabla SyncHistory. Cada carga genera
+ * además un reporte JSON con las filas del CSV rechazadas por la validación.
+ * Cada sincronización abre y cierra su propia conexión, independiente de la que usa la API, y su duración
+ * y las filas procesadas se acumulan en las métricas del servicio (ver metrics.mjs).
+ */
+export default class SyncManager {
+    /**
+     * Constructor de SyncManager
+     * @param {Object} options - Dependencias y configuración.
+     * @param {DBManager} options.dbManager - Instancia de DBManager para la carga de datos.
+     * @param {FileManager} options.fileManager - Instancia de FileManager para las descargas.
+     * @param {string} options.saveDirectory - Directorio donde se guardan los CSV descargados.
+     * @param {string} options.operationMode - Modo por defecto: 'insertNewOnly' o 'reloadAll'.
+     * @param {string} [options.validationMode] - 'skipInvalid' o 'abortOnInvalid' (ver DBManager.insertNewRecordsOnly).
+     * @param {string} [options.reportDirectory] - Directorio de los reportes de filas rechazadas.
+     */
+    constructor({ dbManager, fileManager, saveDirectory, operationMode, validationMode = 'skipInvalid', reportDirectory = `${saveDirectory}/reports` }) {
+        this.dbManager = dbManager;
+        this.fileManager = fileManager;
+        this.saveDirectory = saveDirectory;
+        this.operationMode = operationMode;
+        this.validationMode = validationMode;
+        this.reportDirectory = reportDirectory;
+        this.current = null;
+        this.tasks = [];
+        this.queue = Promise.resolve();
+        this.queued = new Set();
+        this.idleWaiters = [];
+        this.stopping = false;
+    }
+
+    /**
+     * Indica si hay una sincronización en curso.
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.current !== null;
+    }
+
+    /**
+     * Obtiene la sincronización en curso.
+     * @returns {Object|null} - Juego, modo e inicio de la sincronización, o null si no hay ninguna.
+     */
+    getCurrent() {
+        return this.current;
+    }
+
+    /**
+     * Descarga y carga el histórico de un juego.
+     * Si ya hay una sincronización en curso, o el servicio se está deteniendo, no hace nada.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} options - Opciones de la sincronización.
+     * @param {string} [options.mode] - Modo de operación; por defecto el configurado.
+     * @param {string} [options.filePath] - CSV ya disponible (p. ej. subido por un administrador); si se indica no se descarga nada.
+     * @param {string} [options.validationMode] - Modo de validación; por defecto el configurado.
+     * @returns {Object|null} - Resultado ({ juego, modo, insertados, actualizados, rechazados, reporte, sinCambios }), o null si se omitió.
+     * @throws {Error} - Si la descarga o la carga fallan.
+     */
+    async runSync(game, { mode = this.operationMode, filePath, validationMode = this.validationMode } = {}) {
+        if (this.stopping) {
+            logger.warn(`Sincronización de ${game.nombre} omitida: el servicio se está deteniendo.`);
+            return null;
+        }
+        if (this.current) {
+            logger.warn(`Sincronización de ${game.nombre} omitida: ya hay una en curso (${this.current.juego}).`);
+            return null;
+        }
+        if (mode !== 'insertNewOnly' && mode !== 'reloadAll') {
+            throw new Error(`Modo de operación desconocido: ${mode}`);
+        }
+
+        this.current = { juego: game.id, modo: mode, inicio: new Date().toISOString() };
+        const started = process.hrtime.bigint();
+        let estado = 'error';
+        let recordId = null;
+        try {
+            await this.dbManager.connect();
+            await this.dbManager.createSyncHistoryTableIfNotExists();
+            recordId = await this.dbManager.startSyncRecord(game.id, mode);
+
+            // Crear la tabla si no existe, aunque la descarga falle la API tendrá una tabla vacía que consultar
+            await this.dbManager.createTableIfNotExists(game);
+
+            let sha256;
+            if (!filePath) {
+                logger.debug(`Iniciando la descarga del archivo CSV de ${game.nombre}...`);
+                ({ filePath, sha256 } = await this.fileManager.downloadFile(game, this.saveDirectory));
+                logger.info(`El archivo CSV de ${game.nombre} se ha descargado exitosamente!`);
+
+                // Una recarga completa se hace aunque el archivo no haya cambiado
+                const last = mode === 'insertNewOnly' ? await this.dbManager.getLastSuccessfulSync(game.id) : null;
+                if (last && last.SHA256 === sha256) {
+                    await this.dbManager.finishSyncRecord(recordId, { estado: 'sin_cambios', insertados: 0, sha256 });
+                    estado = 'sin_cambios';
+                    logger.info(`Sincronización de ${game.nombre} omitida: el archivo no cambió desde la última carga.`);
+                    return { juego: game.id, modo: mode, insertados: 0, actualizados: 0, rechazados: 0, reporte: null, sinCambios: true };
+                }
+            } else {
+                logger.info(`Cargando ${game.nombre} desde el archivo ${filePath}.`);
+                sha256 = await this.fileManager.hashFile(filePath);
+            }
+
+            const options = { validationMode };
+            let summary;
+            if (mode === 'insertNewOnly') {
+                logger.debug(`Modo: insertNewOnly. Insertando solo registros nuevos de ${game.nombre}.`);
+                summary = await this.dbManager.insertNewRecordsOnly(game, filePath, options);
+            } else {
+                logger.debug(`Modo: reloadAll. Eliminando todos los datos de ${game.nombre} y recargando.`);
+                summary = await this.dbManager.reloadAllData(game, filePath, options);
+            }
+
+            const { insertados, actualizados = 0, rechazados } = summary;
+            const reporte = this.saveRejectionReport(game, { filePath, validationMode, rechazados });
+            await this.dbManager.finishSyncRecord(recordId, { estado: 'exitoso', insertados, sha256 });
+            estado = 'exitoso';
+            syncRows.inc({ juego: game.id, tipo: 'insertados' }, insertados);
+            syncRows.inc({ juego: game.id, tipo: 'actualizados' }, actualizados);
+            syncRows.inc({ juego: game.id, tipo: 'rechazados' }, rechazados.length);
+            logger.info(`Sincronización de ${game.nombre} completada: ${insertados} registros insertados, ${actualizados} corregidos, ${rechazados.length} filas rechazadas.`);
+            return { juego: game.id, modo: mode, insertados, actualizados, rechazados: rechazados.length, reporte, sinCambios: false };
+        } catch (error) {
+            logger.error(`Error sincronizando ${game.nombre}: ${error.message}`);
+            if (error instanceof CsvValidationError) {
+                error.reporte = this.saveRejectionReport(game, { filePath, validationMode, rechazados: error.rechazados, error: error.message });
+            }
+            if (recordId !== null) {
+                await this.dbManager.finishSyncRecord(recordId, { estado: 'error', error: error.message })
+                    .catch((err) => logger.error(`No se pudo registrar el error de sincronización: ${err.message}`));
+            }
+            throw error;
+        } finally {
+            syncDuration.observe({ juego: game.id, modo: mode, estado }, Number(process.hrtime.bigint() - started) / 1e9);
+            await this.dbManager.close();
+            this.release();
+        }
+    }
+
+    /**
+     * Revierte la última recarga completa de un juego (ver DBManager.rollbackReload).
+     * Comparte el candado de las sincronizaciones para no intercambiar tablas durante una carga.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @returns {Object|null} - Resultado ({ juego, registros }), o null si hay una sincronización en curso o el servicio se está deteniendo.
+     * @throws {Error} - Si no existe respaldo o el intercambio falla.
+     */
+    async rollbackReload(game) {
+        if (this.stopping) {
+            logger.warn(`Reversión de ${game.nombre} omitida: el servicio se está deteniendo.`);
+            return null;
+        }
+        if (this.current) {
+            logger.warn(`Reversión de ${game.nombre} omitida: hay una sincronización en curso (${this.current.juego}).`);
+            return null;
+        }
+
+        this.current = { juego: game.id, modo: 'rollback', inicio: new Date().toISOString() };
+        try {
+            await this.dbManager.connect();
+            const registros = await this.dbManager.rollbackReload(game);
+            return { juego: game.id, registros };
+        } finally {
+            await this.dbManager.close();
+            this.release();
+        }
+    }
+
+    // Libera el candado de sincronización y avisa a quienes esperan que termine
+    release() {
+        this.current = null;
+        const waiters = this.idleWaiters;
+        this.idleWaiters = [];
+        waiters.forEach((resolve) => resolve());
+    }
+
+    /**
+     * Espera a que termine la sincronización en curso, si la hay.
+     * @returns {Promise<void>}
+     */
+    waitForIdle() {
+        if (!this.current) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Guarda el reporte de filas rechazadas de una importación.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Object} details - Detalles de la importación.
+     * @param {string} details.filePath - CSV importado.
+     * @param {string} details.validationMode - Modo de validación usado.
+     * @param {Array<Object>} details.rechazados - Filas rechazadas ({ fila, concurso, motivo }).
+     * @param {string} [details.error] - Motivo por el que se abortó la importación, si fue el caso.
+     * @returns {string|null} - Ruta del reporte, o null si no se pudo guardar.
+     */
+    saveRejectionReport(game, { filePath, validationMode, rechazados, error = null }) {
+        const fecha = new Date().toISOString();
+        const report = {
+            juego: game.id,
+            archivo: filePath,
+            fecha,
+            modoValidacion: validationMode,
+            abortada: error !== null,
+            error,
+            totalRechazados: rechazados.length,
+            rechazados
+        };
+
+        try {
+            const fileName = `rechazos_${game.id}_${fecha.replace(/[:.]/g, '-')}.json`;
+            const reportPath = this.fileManager.saveJSON(this.reportDirectory, fileName, report);
+            if (rechazados.length > 0) {
+                logger.warn(`${rechazados.length} filas rechazadas en el CSV de ${game.nombre}. Reporte: ${reportPath}`);
+            }
+            return reportPath;
+        } catch (err) {
+            logger.error(`No se pudo guardar el reporte de rechazos de ${game.nombre}: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Sincroniza todos los juegos, uno tras otro. Un juego con error no detiene a los demás.
+     * @param {Array<Object>} games - Juegos del registro (GameRegistry).
+     */
+    async runAll(games) {
+        for (const game of games) {
+            if (this.stopping) {
+                break;
+            }
+            try {
+                await this.runSync(game);
+            } catch (error) {
+                // El error ya quedó registrado en el log y en SyncHistory
+            }
+        }
+    }
+
+    /**
+     * Encola la sincronización de un juego detrás de la que esté en curso y de las ya encoladas.
+     * Las sincronizaciones programadas pasan por aquí: varios juegos programados a la misma hora se
+     * sincronizan uno tras otro en lugar de omitirse. Un juego que ya espera en la cola no se encola de nuevo.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @returns {Promise<void>} - Se resuelve cuando termina todo lo encolado hasta ahora.
+     */
+    enqueue(game) {
+        if (this.queued.has(game.id)) {
+            return this.queue;
+        }
+        this.queued.add(game.id);
+        this.queue = this.queue.then(async () => {
+            // Una sincronización manual (rutas de administración, CLI) puede haber empezado mientras tanto
+            while (this.current && !this.stopping) {
+                await this.waitForIdle();
+            }
+            this.queued.delete(game.id);
+            try {
+                await this.runSync(game);
+            } catch (error) {
+                // El error ya quedó registrado en el log y en SyncHistory
+            }
+        });
+        return this.queue;
+    }
+
+    /**
+     * Programa la sincronización periódica de cada juego.
+     * Cada disparo encola la sincronización (ver enqueue), así los juegos con el mismo horario no se descartan.
+     * @param {Array<Object>} games - Juegos del registro (GameRegistry).
+     * @param {Object} syncConfig - Sección "sync" de config.json.
+     * @param {string} syncConfig.horario - Expresión cron usada por los juegos sin horario propio.
+     * @param {string} [syncConfig.zonaHoraria] - Zona horaria de las expresiones cron.
+     * @throws {Error} - Si alguna expresión cron es inválida.
+     */
+    start(games, syncConfig) {
+        this.stop();
+
+        for (const game of games) {
+            const schedule = game.horario || syncConfig.horario;
+            if (!cron.validate(schedule)) {
+                throw new Error(`Horario de sincronización inválido para ${game.nombre}: ${schedule}`);
+            }
+
+            const task = cron.schedule(schedule, () => {
+                this.enqueue(game);
+            }, { timezone: syncConfig.zonaHoraria });
+
+            this.tasks.push(task);
+            logger.info(`Sincronización de ${game.nombre} programada: '${schedule}'.`);
+        }
+    }
+
+    /**
+     * Detiene las sincronizaciones programadas.
+     */
+    stop() {
+        for (const task of this.tasks) {
+            task.stop();
+        }
+        this.tasks = [];
+    }
+
+    /**
+     * Detiene el servicio para apagar el servidor: cancela las sincronizaciones programadas, rechaza
+     * las nuevas, espera a que termine la que esté en curso y libera la fuente de datos.
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        this.stopping = true;
+        this.stop();
+        await this.waitForIdle();
+        await this.fileManager.close();
+    }
+}
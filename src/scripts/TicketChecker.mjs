@@ -0,0 +1,90 @@
+import { mainColumns, additionalColumn } from './GameRegistry.mjs';
+
+/**
+ * Clase TicketChecker
+ *
+ * Verifica boletos contra los resultados de uno o varios concursos: cuenta los aciertos en los números
+ * naturales y en la bola adicional, y los asigna a la categoría de premio del juego que corresponda.
+ */
+export default class TicketChecker {
+    /**
+     * Constructor de TicketChecker
+     * @param {DBManager} dbManager - Instancia de DBManager con la conexión a la base de datos.
+     */
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+    }
+
+    /**
+     * Valida los números de un boleto contra la definición del juego.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Array<number>} numbers - Números jugados.
+     * @returns {string|null} - El motivo por el que el boleto es inválido, o null si es válido.
+     */
+    validateTicket(game, numbers) {
+        if (!Array.isArray(numbers) || numbers.length !== game.bolas) {
+            return `El boleto debe tener ${game.bolas} números`;
+        }
+        if (!numbers.every((number) => Number.isInteger(number) && number >= game.minimo && number <= game.maximo)) {
+            return `Los números deben ser enteros entre ${game.minimo} y ${game.maximo}`;
+        }
+        if (!game.repeticion && new Set(numbers).size !== numbers.length) {
+            return 'El boleto no puede tener números repetidos';
+        }
+        return null;
+    }
+
+    /**
+     * Verifica uno o varios boletos contra los concursos de un rango.
+     * @param {Object} game - Juego del registro (GameRegistry); debe tener categorías de premio.
+     * @param {Array<Array<number>>} tickets - Boletos validados con validateTicket.
+     * @param {number} first - Primer concurso (inclusive).
+     * @param {number} last - Último concurso (inclusive).
+     * @returns {Object} - { juego, concursos, boletos }; cada boleto lleva sus resultados por concurso y el total de premiados.
+     */
+    async checkTickets(game, tickets, first, last) {
+        const draws = await this.dbManager.getConcursosInRange(game, first, last);
+
+        return {
+            juego: game.id,
+            concursos: draws.length,
+            boletos: tickets.map((numbers) => {
+                const resultados = draws.map((draw) => this.evaluate(game, numbers, draw));
+                return {
+                    numeros: numbers,
+                    premiados: resultados.filter((resultado) => resultado.categoria !== null).length,
+                    resultados
+                };
+            })
+        };
+    }
+
+    /**
+     * Evalúa un boleto contra un concurso.
+     * @param {Object} game - Juego del registro (GameRegistry).
+     * @param {Array<number>} numbers - Números jugados.
+     * @param {Object} draw - Concurso (fila de la tabla del juego).
+     * @returns {Object} - { concurso, fecha, aciertos, adicional, categoria }
+     */
+    evaluate(game, numbers, draw) {
+        const drawn = new Set(mainColumns(game).map((column) => draw[column]));
+        const additional = additionalColumn(game);
+
+        const aciertos = numbers.filter((number) => drawn.has(number));
+        const adicional = additional !== null && numbers.includes(draw[additional]);
+
+        return {
+            concurso: draw.CONCURSO,
+            fecha: draw.FECHA,
+            aciertos,
+            adicional,
+            categoria: this.findPrizeTier(game, aciertos.length, adicional)
+        };
+    }
+
+    // Obtiene la primera categoría (de la mayor a la menor) que cumplen los aciertos, o null si no hay premio
+    findPrizeTier(game, hits, additionalHit) {
+        const premio = game.premios.find((tier) => hits === tier.aciertos && (!tier.adicional || additionalHit));
+        return premio ? premio.nombre : null;
+    }
+}
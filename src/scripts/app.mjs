@@ -2,104 +2,902 @@ import express from 'express';
 import cors from 'cors';
 import logger from './logger.mjs';
 import DBManagerClass from './DBManager.mjs'; // Cambiar el nombre para distinguir la clase
-import config from '../config/config.json' assert { type: 'json' };
+import GameRegistry, { drawColumns, mainColumns } from './GameRegistry.mjs';
+import StatsManager from './StatsManager.mjs';
+import TicketChecker from './TicketChecker.mjs';
+import BacktestEngine, { STRATEGY_TYPES } from './BacktestEngine.mjs';
+import Exporter, { EXPORT_FORMATS } from './Exporter.mjs';
+import { validate, rules, drawFilterRules, toDrawFilters, checkDateRange, handleBodyErrors } from './validation.mjs';
+import { CsvValidationError, VALIDATION_MODES } from './CsvValidator.mjs';
+import metrics, { CONTENT_TYPE as METRICS_CONTENT_TYPE, drawCount, lastSuccessfulSync } from './metrics.mjs';
+import { trackRequests } from './requestTracking.mjs';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 
-// Crear la aplicación Express
-const app = express();
+/**
+ * Crea la aplicación Express de la API.
+ * Importar este módulo no lee la configuración ni abre conexiones: index.mjs crea la aplicación con sus
+ * dependencias (y abre la conexión del DBManager antes de escuchar), y las pruebas la crean sobre una base
+ * de datos temporal.
+ * @param {Object} options - Configuración y dependencias.
+ * @param {Object} options.config - Configuración (config.json).
+ * @param {DBManager} [options.dbManager] - DBManager que comparten todas las peticiones; por defecto uno sobre config.databasePath.
+ * @param {SyncManager} [options.syncManager] - SyncManager de las rutas de sincronización; sin él responden 503.
+ * @returns {express.Application}
+ */
+export function createApp({ config, dbManager, syncManager = null }) {
+    // Crear la aplicación Express
+    const app = express();
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+    // Middleware; trackRequests va primero para medir y registrar todas las peticiones
+    app.use(trackRequests());
+    app.use(cors());
+    app.use(express.json());
 
-// Validar límite máximo de registros por página
-const maxPageSize = config.maxPageSize || 100;
+    // Validar límite máximo de registros por página
+    const maxPageSize = config.maxPageSize || 100;
 
-// Crear una instancia de DBManager
-const DBManager = new DBManagerClass(config.databasePath);
+    // Registro de juegos soportados
+    const games = new GameRegistry(config.juegos, config.defaultGame);
 
-// Helper function to ensure database is connected
-async function ensureDBConnection() {
-    if (!await DBManager.isConnected()) {
-        await DBManager.connect();
+    // DBManager de la API. Su conexión se abre una sola vez al iniciar (ver index.mjs) y la comparten todas
+    // las peticiones; la base de datos está en modo WAL, así que las sincronizaciones, que escriben con su
+    // propia conexión, no bloquean las lecturas de la API
+    const DBManager = dbManager ?? new DBManagerClass(config.databasePath, {
+        games: games.list(),
+        maxCombinationSize: config.combinaciones?.maxK
+    });
+    app.locals.dbManager = DBManager;
+
+    // El SyncManager queda disponible para las rutas de sincronización (p. ej. /sync/status)
+    app.locals.syncManager = syncManager;
+
+    // Estadísticas calculadas sobre la serie histórica
+    const statsManager = new StatsManager(DBManager, config.estadisticas);
+
+    // Verificación de boletos contra los resultados
+    const ticketChecker = new TicketChecker(DBManager);
+    const { maxBoletos = 100, maxConcursos = 1000 } = config.verificacion || {};
+
+    // Backtesting de estrategias sobre la serie histórica; las bolsas se convierten a la moneda actual como en las estadísticas
+    const backtestEngine = new BacktestEngine(DBManager, ticketChecker, {
+        maxBoletos,
+        redenominacion: config.estadisticas?.bolsa?.redenominacion
+    });
+
+    // Rutas por juego. Se montan en /juegos/:juego y, por compatibilidad, en la raíz usando el juego por defecto
+    const router = express.Router({ mergeParams: true });
+
+    // Middleware que resuelve el juego solicitado y lo deja disponible en req.game
+    function resolveGame(req, res, next) {
+        const game = req.params.juego ? games.get(req.params.juego) : games.getDefault();
+        if (!game) {
+            return res.status(404).json({ error: `Juego no encontrado: ${req.params.juego}` });
+        }
+        req.game = game;
+        next();
     }
-}
 
-// Ruta para obtener todos los concursos con paginación
-app.get('/concursos', async (req, res) => {
-    try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
+    router.use(resolveGame);
+
+    // Números de un boleto: tantos como bolas tiene el juego, dentro de su rango y sin repetir (salvo en juegos con repetición)
+    const ticketRule = (options = {}) => rules.list(rules.integer({ min: (req) => req.game.minimo, max: (req) => req.game.maximo }), {
+        length: (req) => req.game.bolas,
+        unique: (req) => !req.game.repeticion,
+        ...options
+    });
+
+    // Modo de operación de una carga manual
+    const operationModeRule = (defaultMode) => rules.oneOf(['insertNewOnly', 'reloadAll'], { default: defaultMode });
+
+    // Ruta para listar los juegos disponibles
+    app.get('/juegos', validate({ query: {} }), (req, res) => {
+        res.json(games.list().map(({ id, nombre, bolas, minimo, maximo, adicional, premios }) => ({
+            id, nombre, bolas, minimo, maximo, adicional, premios
+        })));
+    });
+
+    /**
+     * Middleware de autenticación para las rutas de administración.
+     * Exige el encabezado 'Authorization: Bearer <token>' con el valor de la variable de entorno ADMIN_TOKEN.
+     * Si ADMIN_TOKEN no está definida, las rutas de administración quedan deshabilitadas.
+     */
+    function requireAdmin(req, res, next) {
+        const adminToken = process.env.ADMIN_TOKEN;
+        if (!adminToken) {
+            return res.status(503).json({ error: 'Las rutas de administración no están habilitadas' });
+        }
+
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        const expected = Buffer.from(adminToken);
+        const received = Buffer.from(token || '');
+        if (scheme !== 'Bearer' || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            logger.warn(`Intento de acceso no autorizado a ${req.originalUrl}`);
+            return res.status(401).json({ error: 'No autorizado' });
+        }
+        next();
+    }
+
+    // Rutas de administración: sincronización manual y carga de archivos CSV
+    const adminRouter = express.Router({ mergeParams: true });
+    adminRouter.use(requireAdmin, resolveGame, (req, res, next) => {
+        // Sin SyncManager (ver createApp) no hay forma de ejecutar la carga
+        const { syncManager } = req.app.locals;
+        if (!syncManager) {
+            return res.status(503).json({ error: 'El servicio de sincronización no está disponible' });
+        }
+        if (syncManager.isRunning()) {
+            return res.status(409).json({ error: 'Ya hay una sincronización en curso', enCurso: syncManager.getCurrent() });
+        }
+        req.syncManager = syncManager;
+        next();
+    });
+
+    // Responde el resultado de una carga manual: 422 con el reporte si la validación del CSV la abortó
+    function sendSyncError(res, game, error) {
+        if (error instanceof CsvValidationError) {
+            return res.status(422).json({ error: error.message, rechazados: error.rechazados, reporte: error.reporte ?? null });
+        }
+        logger.error(`Error en la carga manual de ${game.nombre}: ${error.message}`);
+        res.status(500).json({ error: 'Error durante la sincronización', detalle: error.message });
+    }
+
+    // Ruta para lanzar una sincronización (descarga + carga) en el modo indicado
+    adminRouter.post('/sync', validate({
+        body: {
+            modo: operationModeRule(config.operationMode),
+            validacion: rules.oneOf(VALIDATION_MODES)
+        }
+    }), async (req, res) => {
+        const { modo, validacion: validationMode } = req.valid.body;
+
+        try {
+            const result = await req.syncManager.runSync(req.game, { mode: modo, validationMode });
+            if (!result) {
+                return res.status(409).json({ error: 'Ya hay una sincronización en curso' });
+            }
+            res.json(result);
+        } catch (error) {
+            sendSyncError(res, req.game, error);
+        }
+    });
+
+    // Ruta para cargar un CSV enviado en el cuerpo de la petición (Content-Type: text/csv)
+    adminRouter.post('/upload', express.raw({ type: ['text/csv', 'text/plain', 'application/octet-stream'], limit: '20mb' }), validate({
+        query: {
+            modo: operationModeRule('insertNewOnly'),
+            validacion: rules.oneOf(VALIDATION_MODES)
+        },
+        body: rules.custom((body) => (Buffer.isBuffer(body) && body.length > 0
+            ? { value: body }
+            : { error: 'Debe contener el archivo CSV (Content-Type: text/csv)' }), { required: true })
+    }), async (req, res) => {
+        const { modo, validacion: validationMode } = req.valid.query;
+
+        try {
+            // Guardar el archivo para que pase por la misma ruta de carga que las descargas
+            const uploadDirectory = path.join(config.saveDirectory, 'uploads');
+            fs.mkdirSync(uploadDirectory, { recursive: true });
+            const filePath = path.join(uploadDirectory, `${req.game.id}_${Date.now()}.csv`);
+            fs.writeFileSync(filePath, req.valid.body);
+            logger.info(`Archivo CSV de ${req.game.nombre} recibido: ${filePath}`);
+
+            const result = await req.syncManager.runSync(req.game, { mode: modo, filePath, validationMode });
+            if (!result) {
+                return res.status(409).json({ error: 'Ya hay una sincronización en curso' });
+            }
+            res.json(result);
+        } catch (error) {
+            sendSyncError(res, req.game, error);
+        }
+    });
+
+    // Ruta para revertir la última recarga completa, restaurando la tabla de respaldo
+    adminRouter.post('/rollback', validate({ body: {} }), async (req, res) => {
+        try {
+            const result = await req.syncManager.rollbackReload(req.game);
+            if (!result) {
+                return res.status(409).json({ error: 'Ya hay una sincronización en curso' });
+            }
+            res.json(result);
+        } catch (error) {
+            logger.error(`Error revirtiendo la recarga de ${req.game.nombre}: ${error.message}`);
+            res.status(500).json({ error: 'Error al revertir la recarga', detalle: error.message });
+        }
+    });
+
+    app.use('/admin/juegos/:juego', adminRouter);
 
-        if (limit > maxPageSize) {
-            return res.status(400).json({ error: `El límite máximo permitido es ${maxPageSize}` });
+    // Ruta para consultar la sincronización en curso y el historial de sincronizaciones
+    app.get('/sync/status', validate({
+        query: {
+            limit: rules.integer({ min: 1, max: maxPageSize, default: 20 }),
+            juego: rules.custom((value) => (games.get(value) ? { value: games.get(value).id } : { error: `Juego no encontrado: ${value}` }))
         }
+    }), async (req, res) => {
+        try {
+            const { limit, juego } = req.valid.query;
+
+            // Sin la tabla SyncHistory (base de datos sin migrar) no hay historial
+            const historial = await DBManager.syncHistoryExists() ? await DBManager.getSyncHistory({ juego, limit }) : [];
 
-        await ensureDBConnection();
-        const offset = (page - 1) * limit;
-        const results = await DBManager.getConcursos(limit, offset);
+            // El SyncManager lo registra index.mjs; si la app corre sin él no hay sincronización en curso
+            const { syncManager } = req.app.locals;
+            res.json({ enCurso: syncManager ? syncManager.getCurrent() : null, historial });
+        } catch (error) {
+            logger.error(`Error al obtener el estado de sincronización: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener el estado de sincronización' });
+        }
+    });
 
-        res.json(results);
-    } catch (error) {
-        logger.error(`Error al obtener los concursos: ${error.message}`);
-        res.status(500).json({ error: 'Error al obtener los concursos' });
-    } finally {
-        await DBManager.close();
+    /**
+     * Última sincronización exitosa de cada juego (ver DBManager.getLastSuccessfulSync). Solo lee la base de datos:
+     * si la tabla SyncHistory no existe, ningún juego se ha sincronizado.
+     * @returns {Array<Object>} - Por juego: { juego, fin, edadSegundos }; fin y edadSegundos son null si nunca se sincronizó.
+     */
+    async function lastSyncs() {
+        const hasHistory = await DBManager.syncHistoryExists();
+        const now = Date.now();
+        return Promise.all(games.list().map(async (game) => {
+            const last = hasHistory ? await DBManager.getLastSuccessfulSync(game.id) : undefined;
+            const fin = last ? last.FIN : null;
+            return { juego: game.id, fin, edadSegundos: fin ? Math.round((now - Date.parse(fin)) / 1000) : null };
+        }));
     }
-});
 
-// Ruta para obtener combinaciones más frecuentes
-app.get('/combinaciones', async (req, res) => {
-    try {
-        const k = parseInt(req.query.k) || 1;
+    // Comprobación de vida: el proceso responde
+    app.get('/health', (req, res) => {
+        res.json({ estado: 'ok', uptimeSegundos: Math.round(process.uptime()) });
+    });
+
+    // Comprobación de disponibilidad: la base de datos responde y los datos no están desactualizados. La antigüedad
+    // es la de la sincronización exitosa más reciente de cualquier juego; solo cuenta si salud.maxEdadSincronizacion
+    // está configurado (sin él, la antigüedad se informa pero no afecta la respuesta)
+    const maxSyncAge = config.salud?.maxEdadSincronizacion ?? null;
+    app.get('/ready', async (req, res) => {
+        const baseDeDatos = { conectada: await DBManager.isConnected() };
+        if (!baseDeDatos.conectada) {
+            return res.status(503).json({ listo: false, motivo: 'La base de datos no está disponible', baseDeDatos, sincronizacion: null });
+        }
+
+        try {
+            const juegos = await lastSyncs();
+            const ages = juegos.map(({ edadSegundos }) => edadSegundos).filter((age) => age !== null);
+            const sincronizacion = { edadSegundos: ages.length ? Math.min(...ages) : null, maxEdadSegundos: maxSyncAge, juegos };
 
-        if (k < 1 || k > 6) {
-            return res.status(400).json({ error: 'El valor de k debe estar entre 1 y 6' });
+            let motivo = null;
+            if (maxSyncAge !== null && sincronizacion.edadSegundos === null) {
+                motivo = 'No hay sincronizaciones exitosas';
+            } else if (maxSyncAge !== null && sincronizacion.edadSegundos > maxSyncAge) {
+                motivo = `La última sincronización exitosa tiene ${sincronizacion.edadSegundos} segundos`;
+            }
+            res.status(motivo ? 503 : 200).json({ listo: !motivo, ...(motivo && { motivo }), baseDeDatos, sincronizacion });
+        } catch (error) {
+            logger.error(`Error al comprobar la disponibilidad: ${error.message}`);
+            res.status(503).json({ listo: false, motivo: 'Error al consultar el historial de sincronizaciones', baseDeDatos, sincronizacion: null });
         }
+    });
 
-        await ensureDBConnection();
-        const combinaciones = await DBManager.getFrequentCombinations(k);
+    // Métricas en formato Prometheus. Los concursos almacenados y las últimas sincronizaciones se leen de la
+    // base de datos en cada consulta; el resto se acumula en el proceso (ver metrics.mjs)
+    app.get('/metrics', async (req, res) => {
+        try {
+            for (const game of games.list()) {
+                if (await DBManager.tableExists(game)) {
+                    drawCount.set({ juego: game.id }, await DBManager.countConcursos(game));
+                }
+            }
+            for (const { juego, fin } of await lastSyncs()) {
+                if (fin) {
+                    lastSuccessfulSync.set({ juego }, Date.parse(fin) / 1000);
+                }
+            }
+            res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+        } catch (error) {
+            logger.error(`Error al obtener las métricas: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener las métricas' });
+        }
+    });
+
+    // Columnas de la tabla de concursos que se pueden solicitar con 'fields' (sin distinguir mayúsculas)
+    const fieldsRule = rules.list(rules.custom((value, req) => {
+        const column = String(value).trim().toUpperCase();
+        return drawColumns(req.game).includes(column)
+            ? { value: column }
+            : { error: `Columna desconocida: ${value}; use ${drawColumns(req.game).join(', ')}` };
+    }), { minItems: 1, unique: true });
+
+    // El cursor de paginación es opaco para el cliente: la posición en la serie y el ordenamiento al que corresponde, en base64url
+    function encodeCursor(cursor, { sort, order }) {
+        return Buffer.from(JSON.stringify({ ...cursor, sort, order })).toString('base64url');
+    }
+
+    function decodeCursor(value) {
+        try {
+            const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+            const valid = Number.isInteger(cursor.concurso) && ['siguiente', 'anterior'].includes(cursor.direccion)
+                && typeof cursor.sort === 'string' && typeof cursor.order === 'string';
+            return valid ? cursor : null;
+        } catch (error) {
+            return null;
+        }
+    }
 
-        res.json(combinaciones);
-    } catch (error) {
-        logger.error(`Error al obtener las combinaciones más frecuentes: ${error.message}`);
-        res.status(500).json({ error: 'Error al obtener las combinaciones' });
-    } finally {
-        await DBManager.close();
+    // Enlace a otra página de la misma consulta: conserva los parámetros y reemplaza el número de página por el cursor
+    function pageLink(req, cursor) {
+        if (!cursor) {
+            return null;
+        }
+        const query = new URLSearchParams(req.query);
+        query.delete('page');
+        query.set('cursor', encodeCursor(cursor, req.valid.query));
+        return `${req.baseUrl}${req.path}?${query}`;
     }
-});
-
-app.get('/total-concursos', async (req, res) => {
-    try {
-        await ensureDBConnection();
-        const result = await DBManager.get('SELECT COUNT(*) AS total FROM Concursos');
-        res.json({ total: result.total });
-    } catch (error) {
-        logger.error("Error fetching total concursos:", error);
-        res.status(500).json({ error: 'Error fetching total concursos' });
-    } finally {
-        await DBManager.close();
+
+    // Parámetros de paginación y ordenamiento de las listas de concursos (ver getConcursosPage)
+    const paginationRules = {
+        limit: rules.integer({ min: 1, max: maxPageSize, default: 10 }),
+        sort: rules.oneOf(['concurso', 'fecha', 'bolsa'], { default: 'concurso' }),
+        order: rules.oneOf(['asc', 'desc'], { default: 'desc' }),
+        cursor: rules.custom((value) => {
+            const cursor = decodeCursor(value);
+            return cursor ? { value: cursor } : { error: 'Cursor inválido' };
+        }),
+        page: rules.integer({ min: 1 })
+    };
+
+    function checkPagination(valid) {
+        const { cursor, page, sort, order } = valid.query;
+        if (cursor && page) {
+            return [{ campo: 'query.page', mensaje: "No se puede usar 'page' junto con 'cursor'" }];
+        }
+        if (cursor && (cursor.sort !== sort || cursor.order !== order)) {
+            return [{ campo: 'query.cursor', mensaje: "El cursor corresponde a otro ordenamiento ('sort' y 'order')" }];
+        }
+        return checkDateRange('query')(valid);
     }
-});
-
-app.post('/buscar-combinacion', async (req, res) => {
-    const { numeros } = req.body;
-    try {
-        await ensureDBConnection();
-
-        // Usamos el método findCombination desde DBManager
-        const frecuencia = await DBManager.findCombination(numeros);
-
-        if (frecuencia > 0) {
-            res.json({ existe: true, frecuencia });
-        } else {
-            res.json({ existe: false });
-        }
-    } catch (error) {
-        logger.error('Error al buscar la combinación:', error);
-        res.status(500).json({ error: 'Error al buscar la combinación.' });
-    } finally {
-        await DBManager.close();
+
+    /**
+     * Responde una página de concursos: { juego, total, limit, resultados, siguiente, anterior }.
+     * @param {Request} req - Petición validada con paginationRules y los filtros de fecha.
+     * @param {Response} res - Respuesta de Express.
+     * @param {Object} options - Opciones adicionales de getConcursosPage (fields, search).
+     * @param {Function} [transform] - Transforma cada concurso antes de enviarlo.
+     */
+    async function sendConcursosPage(req, res, options, transform = (concurso) => concurso) {
+        const { limit, sort, order, cursor, page = 1 } = req.valid.query;
+
+        const { total, concursos, siguiente, anterior } = await DBManager.getConcursosPage(req.game, {
+            ...options,
+            limit,
+            sort: sort.toUpperCase(),
+            order,
+            cursor,
+            offset: (page - 1) * limit,
+            filters: toDrawFilters(req.valid.query)
+        });
+
+        res.json({
+            juego: req.game.id,
+            total,
+            limit,
+            resultados: concursos.map(transform),
+            siguiente: pageLink(req, siguiente),
+            anterior: pageLink(req, anterior)
+        });
     }
-});
 
-export default app;
+    /**
+     * Ruta para obtener los concursos con paginación por cursor.
+     * Query: limit, sort=concurso|fecha|bolsa, order=asc|desc, fields (columnas separadas por comas), los filtros
+     * de fecha y cursor (tomado de los enlaces 'siguiente' y 'anterior' de la respuesta). 'page' se sigue aceptando
+     * para la primera consulta; las páginas siguientes se recorren con los enlaces.
+     * Responde { juego, total, limit, resultados, siguiente, anterior }.
+     */
+    router.get('/concursos', validate({
+        query: {
+            ...paginationRules,
+            fields: fieldsRule,
+            ...drawFilterRules
+        },
+        check: checkPagination
+    }), async (req, res) => {
+        try {
+            await sendConcursosPage(req, res, { fields: req.valid.query.fields });
+        } catch (error) {
+            logger.error(`Error al obtener los concursos: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener los concursos' });
+        }
+    });
+
+    // Ruta para obtener el concurso más reciente
+    router.get('/concursos/ultimo', validate({ query: { fields: fieldsRule } }), async (req, res) => {
+        try {
+            const concurso = await DBManager.getLatestConcurso(req.game, req.valid.query.fields);
+            if (!concurso) {
+                return res.status(404).json({ error: `No hay concursos registrados de ${req.game.nombre}` });
+            }
+            res.json(concurso);
+        } catch (error) {
+            logger.error(`Error al obtener el último concurso: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener el concurso' });
+        }
+    });
+
+    // Ruta para obtener un concurso por su número
+    router.get('/concursos/:id', validate({
+        params: {
+            // El juego ya lo resolvió resolveGame
+            juego: rules.custom((value) => ({ value })),
+            id: rules.integer({ min: 1, required: true })
+        },
+        query: { fields: fieldsRule }
+    }), async (req, res) => {
+        try {
+            const { id } = req.valid.params;
+            const concurso = await DBManager.getConcurso(req.game, id, req.valid.query.fields);
+            if (!concurso) {
+                return res.status(404).json({ error: `Concurso no encontrado: ${id}` });
+            }
+            res.json(concurso);
+        } catch (error) {
+            logger.error(`Error al obtener el concurso: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener el concurso' });
+        }
+    });
+
+    // Ruta para obtener las estadísticas de cada número: frecuencia, brechas y clasificación caliente/fría
+    router.get('/estadisticas/numeros', validate({
+        query: {
+            ventana: rules.integer({ min: 1 }),
+            ...drawFilterRules
+        },
+        check: checkDateRange('query')
+    }), async (req, res) => {
+        try {
+            const { ventana } = req.valid.query;
+
+            const estadisticas = await statsManager.getNumberStatistics(req.game, toDrawFilters(req.valid.query), { ventana });
+
+            res.json(estadisticas);
+        } catch (error) {
+            logger.error(`Error al obtener las estadísticas por número: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener las estadísticas' });
+        }
+    });
+
+    /**
+     * Ruta para obtener los histogramas de las métricas de distribución de los concursos:
+     * suma, pares, bajos, rango, consecutivos y decenas. Query: ancho (intervalos de la suma) y los filtros de fecha.
+     */
+    router.get('/estadisticas/patrones', validate({
+        query: {
+            ancho: rules.integer({ min: 1 }),
+            ...drawFilterRules
+        },
+        check: checkDateRange('query')
+    }), async (req, res) => {
+        try {
+            const { ancho } = req.valid.query;
+            const patrones = await statsManager.getPatternHistograms(req.game, toDrawFilters(req.valid.query), { ancho });
+            res.json(patrones);
+        } catch (error) {
+            logger.error(`Error al obtener los patrones: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener los patrones' });
+        }
+    });
+
+    // Ruta para comparar un boleto con los histogramas de las métricas de distribución (qué tan típico es)
+    router.post('/estadisticas/patrones/boleto', validate({
+        body: {
+            numeros: ticketRule({ required: true }),
+            ancho: rules.integer({ min: 1 }),
+            ...drawFilterRules
+        },
+        check: checkDateRange('body')
+    }), async (req, res) => {
+        try {
+            const { numeros, ancho } = req.valid.body;
+            const resultado = await statsManager.checkTicketPatterns(req.game, numeros, toDrawFilters(req.valid.body), { ancho });
+            res.json(resultado);
+        } catch (error) {
+            logger.error(`Error al comparar el boleto con los patrones: ${error.message}`);
+            res.status(500).json({ error: 'Error al comparar el boleto con los patrones' });
+        }
+    });
+
+    // Ruta para obtener la serie de la bolsa acumulada: bolsa, cambio y evento (acumulado/reinicio) por concurso
+    router.get('/bolsa/serie', validate({
+        query: drawFilterRules,
+        check: checkDateRange('query')
+    }), async (req, res) => {
+        try {
+            const serie = await statsManager.getJackpotSeries(req.game, toDrawFilters(req.valid.query));
+            res.json({ juego: req.game.id, serie });
+        } catch (error) {
+            logger.error(`Error al obtener la serie de la bolsa: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener la serie de la bolsa' });
+        }
+    });
+
+    // Ruta para obtener el resumen de la bolsa: bolsas ganadas, mayores, crecimiento promedio y proyección
+    router.get('/bolsa/resumen', validate({
+        query: {
+            ventana: rules.integer({ min: 1 }),
+            top: rules.integer({ min: 1, max: maxPageSize }),
+            ...drawFilterRules
+        },
+        check: checkDateRange('query')
+    }), async (req, res) => {
+        try {
+            const { ventana, top } = req.valid.query;
+            const resumen = await statsManager.getJackpotSummary(req.game, toDrawFilters(req.valid.query), { ventana, top });
+            res.json(resumen);
+        } catch (error) {
+            logger.error(`Error al obtener el resumen de la bolsa: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener el resumen de la bolsa' });
+        }
+    });
+
+    // Parámetros de las consultas de combinaciones frecuentes (sin el límite, que depende de la ruta)
+    const combinationRules = {
+        k: rules.integer({ min: 1, max: (req) => DBManager.combinationSizeLimit(req.game), default: 1 }),
+        order: rules.oneOf(['asc', 'desc'], { default: 'desc' }),
+        adicional: rules.boolean({ default: false }),
+        ...drawFilterRules
+    };
+
+    function checkCombinationQuery(valid, req) {
+        if (valid.query.adicional && !req.game.adicional) {
+            return [{ campo: 'query.adicional', mensaje: `${req.game.nombre} no tiene bola adicional` }];
+        }
+        return checkDateRange('query')(valid);
+    }
+
+    /**
+     * Ruta para obtener las combinaciones más (o menos) frecuentes.
+     * Query: k (tamaño, hasta combinaciones.maxK), limit, order=asc|desc, adicional=true|false y los filtros de fecha.
+     * Las combinaciones mayores a maxK no se precalculan; para esas se usa POST /buscar-combinacion.
+     */
+    router.get('/combinaciones', validate({
+        query: {
+            ...combinationRules,
+            limit: rules.integer({ min: 1, max: maxPageSize, default: 20 })
+        },
+        check: checkCombinationQuery
+    }), async (req, res) => {
+        try {
+            const { k, limit, order, adicional } = req.valid.query;
+
+            const combinaciones = await DBManager.getFrequentCombinations(req.game, k, {
+                limit,
+                order,
+                includeAdditional: adicional,
+                filters: toDrawFilters(req.valid.query)
+            });
+
+            res.json(combinaciones);
+        } catch (error) {
+            logger.error(`Error al obtener las combinaciones más frecuentes: ${error.message}`);
+            res.status(500).json({ error: 'Error al obtener las combinaciones' });
+        }
+    });
+
+    router.get('/total-concursos', validate({ query: {} }), async (req, res) => {
+        try {
+            const total = await DBManager.countConcursos(req.game);
+            res.json({ total });
+        } catch (error) {
+            logger.error("Error fetching total concursos:", error);
+            res.status(500).json({ error: 'Error fetching total concursos' });
+        }
+    });
+
+    // Ruta para buscar en cuántos concursos salieron juntos todos los números indicados (de 1 a tantos como bolas tiene el juego)
+    // (para obtener esos concursos se usa GET /buscar?numeros=...)
+    router.post('/buscar-combinacion', validate({
+        body: {
+            numeros: rules.list(rules.integer({ min: (req) => req.game.minimo, max: (req) => req.game.maximo }), {
+                required: true,
+                minItems: 1,
+                maxItems: (req) => req.game.bolas,
+                unique: true
+            })
+        }
+    }), async (req, res) => {
+        const { numeros } = req.valid.body;
+        try {
+            // Usamos el método findCombination desde DBManager
+            const frecuencia = await DBManager.findCombination(req.game, numeros);
+
+            if (frecuencia > 0) {
+                res.json({ existe: true, frecuencia });
+            } else {
+                res.json({ existe: false });
+            }
+        } catch (error) {
+            logger.error('Error al buscar la combinación:', error);
+            res.status(500).json({ error: 'Error al buscar la combinación.' });
+        }
+    });
+
+    // Lista de números del juego para los criterios de búsqueda
+    const numberListRule = (options = {}) => rules.list(
+        rules.integer({ min: (req) => req.game.minimo, max: (req) => req.game.maximo }),
+        { minItems: 1, unique: true, ...options }
+    );
+
+    /**
+     * Ruta para buscar concursos por sus números. Los criterios se combinan: el concurso debe cumplirlos todos.
+     * Query:
+     * - numeros y minimo: salieron al menos 'minimo' de los números (por defecto, todos).
+     * - exacto: los números del concurso son exactamente estos.
+     * - incluye / excluye: salieron todos estos números / ninguno de estos.
+     * - adicional: el número salió como bola adicional.
+     * - consecutivos: salió una serie de al menos tantos números consecutivos.
+     * Además acepta la paginación y los filtros de fecha de /concursos. Con 'numeros', cada concurso indica
+     * cuáles salieron en 'aciertos'.
+     */
+    router.get('/buscar', validate({
+        query: {
+            numeros: numberListRule(),
+            minimo: rules.integer({ min: 1 }),
+            exacto: numberListRule({ length: (req) => req.game.bolas, unique: (req) => !req.game.repeticion }),
+            incluye: numberListRule({ maxItems: (req) => req.game.bolas }),
+            excluye: numberListRule(),
+            adicional: rules.integer({ min: (req) => req.game.minimo, max: (req) => req.game.maximo }),
+            consecutivos: rules.integer({ min: 2, max: (req) => req.game.bolas }),
+            ...paginationRules,
+            ...drawFilterRules
+        },
+        check: (valid, req) => {
+            const { numeros, minimo, exacto, incluye, excluye, adicional, consecutivos } = valid.query;
+            if ([numeros, exacto, incluye, excluye, adicional, consecutivos].every((value) => value === undefined)) {
+                return [{ campo: 'query', mensaje: 'Indique al menos un criterio: numeros, exacto, incluye, excluye, adicional o consecutivos' }];
+            }
+            if (minimo !== undefined && (!numeros || minimo > numeros.length)) {
+                return [{ campo: 'query.minimo', mensaje: "Debe acompañar a 'numeros' y no ser mayor que la cantidad de números" }];
+            }
+            if (adicional !== undefined && !req.game.adicional) {
+                return [{ campo: 'query.adicional', mensaje: `${req.game.nombre} no tiene bola adicional` }];
+            }
+            return checkPagination(valid);
+        }
+    }), async (req, res) => {
+        const { numeros, minimo, exacto, incluye, excluye, adicional, consecutivos } = req.valid.query;
+        const columns = mainColumns(req.game);
+
+        try {
+            await sendConcursosPage(req, res, {
+                search: { numeros, minimo, exacto, incluye, excluye, adicional, consecutivos }
+            }, (concurso) => (numeros
+                ? { ...concurso, aciertos: numeros.filter((numero) => columns.some((column) => concurso[column] === numero)) }
+                : concurso));
+        } catch (error) {
+            logger.error(`Error al buscar concursos: ${error.message}`);
+            res.status(500).json({ error: 'Error al buscar concursos' });
+        }
+    });
+
+    /**
+     * Ruta para verificar boletos contra los resultados.
+     * Body: 'numeros' (un boleto) o 'boletos' (varios), y 'concurso' (uno) o 'concursos' ({ desde, hasta }).
+     * Responde, por boleto y concurso, los números acertados, si acertó la adicional y la categoría de premio.
+     */
+    router.post('/verificar-boleto', validate({
+        body: {
+            numeros: ticketRule(),
+            boletos: rules.list(ticketRule(), { minItems: 1, maxItems: maxBoletos }),
+            concurso: rules.integer({ min: 1 }),
+            concursos: rules.object({
+                desde: rules.integer({ min: 1, required: true }),
+                hasta: rules.integer({ min: 1, required: true })
+            })
+        },
+        check: ({ body }, req) => {
+            const detalles = [];
+            if (req.game.premios.length === 0) {
+                detalles.push({ campo: 'params.juego', mensaje: `${req.game.nombre} no tiene categorías de premio definidas` });
+            }
+            if ((body.numeros === undefined) === (body.boletos === undefined)) {
+                detalles.push({ campo: 'body.numeros', mensaje: "Debe indicar 'numeros' (un boleto) o 'boletos' (lista de boletos)" });
+            }
+            if ((body.concurso === undefined) === (body.concursos === undefined)) {
+                detalles.push({ campo: 'body.concurso', mensaje: "Debe indicar 'concurso' o 'concursos' ({ desde, hasta })" });
+            } else if (body.concursos) {
+                const { desde, hasta } = body.concursos;
+                if (desde > hasta) {
+                    detalles.push({ campo: 'body.concursos', mensaje: "'desde' no puede ser mayor que 'hasta'" });
+                } else if (hasta - desde + 1 > maxConcursos) {
+                    detalles.push({ campo: 'body.concursos', mensaje: `El rango no puede abarcar más de ${maxConcursos} concursos` });
+                }
+            }
+            return detalles;
+        }
+    }), async (req, res) => {
+        const { numeros, boletos, concurso, concursos } = req.valid.body;
+        const game = req.game;
+        const tickets = boletos ?? [numeros];
+        const first = concurso ?? concursos.desde;
+        const last = concurso ?? concursos.hasta;
+
+        try {
+            const resultado = await ticketChecker.checkTickets(game, tickets, first, last);
+
+            if (resultado.concursos === 0) {
+                return res.status(404).json({ error: `No hay concursos de ${game.nombre} entre ${first} y ${last}` });
+            }
+
+            res.json(resultado);
+        } catch (error) {
+            logger.error(`Error al verificar los boletos: ${error.message}`);
+            res.status(500).json({ error: 'Error al verificar los boletos' });
+        }
+    });
+
+    /**
+     * Ruta para el backtest de una estrategia sobre la serie histórica.
+     * Body: 'estrategia' (ver BacktestEngine.validateStrategy) y, opcionalmente, los filtros de fecha
+     * (desde, hasta, dia, anio) que delimitan el periodo.
+     */
+    router.post('/backtest', validate({
+        body: {
+            estrategia: rules.object({
+                tipo: rules.oneOf(STRATEGY_TYPES, { required: true }),
+                boletos: rules.list(ticketRule(), { minItems: 1, maxItems: maxBoletos }),
+                cantidad: rules.integer(),
+                ventana: rules.integer({ min: 1 })
+            }, { required: true }),
+            ...drawFilterRules
+        },
+        check: (valid, req) => {
+            if (req.game.premios.length === 0 || req.game.precioBoleto === null) {
+                return [{ campo: 'params.juego', mensaje: `${req.game.nombre} no tiene categorías de premio o precio de boleto definidos` }];
+            }
+            // Las reglas que dependen del tipo de estrategia las verifica el motor
+            const motivo = backtestEngine.validateStrategy(req.game, valid.body.estrategia);
+            if (motivo) {
+                return [{ campo: 'body.estrategia', mensaje: motivo }];
+            }
+            return checkDateRange('body')(valid);
+        }
+    }), async (req, res) => {
+        const { estrategia } = req.valid.body;
+        const game = req.game;
+        const filters = toDrawFilters(req.valid.body);
+
+        try {
+            const resultado = await backtestEngine.run(game, estrategia, filters);
+            res.json(resultado);
+        } catch (error) {
+            logger.error(`Error al ejecutar el backtest: ${error.message}`);
+            res.status(500).json({ error: 'Error al ejecutar el backtest' });
+        }
+    });
+
+    /**
+     * Envía una exportación como archivo adjunto en el formato solicitado (ver Exporter).
+     * @param {Response} res - Respuesta de Express.
+     * @param {Object} details - Detalles de la exportación.
+     * @param {string} details.format - 'csv', 'ndjson' o 'xlsx'.
+     * @param {string} details.baseName - Nombre del archivo sin extensión.
+     * @param {Array<string>} details.columns - Columnas exportadas.
+     * @param {Iterable<Object>|AsyncIterable<Object>} details.rows - Filas exportadas.
+     */
+    async function sendExport(res, { format, baseName, columns, rows }) {
+        const exporter = new Exporter(format);
+        // attachment() deduce el Content-Type de la extensión; se reemplaza por el del formato
+        res.attachment(exporter.fileName(baseName));
+        res.set('Content-Type', exporter.contentType);
+        await exporter.write(res, columns, rows, { sheetName: baseName });
+    }
+
+    // Responde el error de una exportación; si ya se enviaron datos solo queda cortar la respuesta
+    function sendExportError(res, error) {
+        logger.error(`Error al exportar: ${error.message}`);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ error: 'Error al exportar los datos' });
+    }
+
+    const exportFormatRule = rules.oneOf(Object.keys(EXPORT_FORMATS), { default: 'csv' });
+
+    /**
+     * Rutas de exportación: la serie completa, sin paginación, en CSV, NDJSON o XLSX (query 'formato').
+     * Aceptan los mismos filtros que las rutas de consulta equivalentes.
+     */
+    router.get('/exportar/concursos', validate({
+        query: {
+            formato: exportFormatRule,
+            ...drawFilterRules
+        },
+        check: checkDateRange('query')
+    }), async (req, res) => {
+        try {
+            await sendExport(res, {
+                format: req.valid.query.formato,
+                baseName: `${req.game.id}_concursos`,
+                columns: drawColumns(req.game),
+                rows: DBManager.iterateConcursos(req.game, toDrawFilters(req.valid.query))
+            });
+        } catch (error) {
+            sendExportError(res, error);
+        }
+    });
+
+    router.get('/exportar/estadisticas/numeros', validate({
+        query: {
+            formato: exportFormatRule,
+            ventana: rules.integer({ min: 1 }),
+            ...drawFilterRules
+        },
+        check: checkDateRange('query')
+    }), async (req, res) => {
+        try {
+            const { formato, ventana } = req.valid.query;
+            const estadisticas = await statsManager.getNumberStatistics(req.game, toDrawFilters(req.valid.query), { ventana });
+
+            // Los números naturales y la bola adicional se exportan en una sola tabla, distinguidos por 'tipo'
+            const rows = [
+                ...estadisticas.numeros.map((stats) => ({ tipo: 'natural', ...stats })),
+                ...(estadisticas.adicional || []).map((stats) => ({ tipo: 'adicional', ...stats }))
+            ];
+            await sendExport(res, {
+                format: formato,
+                baseName: `${req.game.id}_estadisticas`,
+                columns: ['tipo', 'numero', 'frecuencia', 'ultimoConcurso', 'ultimaFecha', 'brechaActual',
+                    'brechaPromedio', 'brechaMaxima', 'frecuenciaVentana', 'estado'],
+                rows
+            });
+        } catch (error) {
+            sendExportError(res, error);
+        }
+    });
+
+    router.get('/exportar/combinaciones', validate({
+        query: {
+            formato: exportFormatRule,
+            ...combinationRules,
+            limit: rules.integer({ min: 1 })
+        },
+        check: checkCombinationQuery
+    }), async (req, res) => {
+        try {
+            const { formato, k, limit, order, adicional } = req.valid.query;
+            const combinaciones = await DBManager.getFrequentCombinations(req.game, k, {
+                limit: limit ?? null,
+                order,
+                includeAdditional: adicional,
+                filters: toDrawFilters(req.valid.query)
+            });
+
+            await sendExport(res, {
+                format: formato,
+                baseName: `${req.game.id}_combinaciones_k${k}`,
+                columns: ['combination', 'frequency'],
+                rows: combinaciones
+            });
+        } catch (error) {
+            sendExportError(res, error);
+        }
+    });
+
+    app.use('/juegos/:juego', router);
+    app.use('/', router);
+
+    // Errores al leer el cuerpo (JSON mal formado, CSV demasiado grande...) con el formato de las demás validaciones
+    app.use(handleBodyErrors);
+
+    // Cualquier otro error no atendido por las rutas: se registra y se responde sin exponer el detalle
+    app.use((err, req, res, next) => {
+        logger.error(`Error no controlado en ${req.method} ${req.originalUrl}: ${err.stack || err.message}`);
+        if (res.headersSent) {
+            return next(err);
+        }
+        res.status(500).json({ error: 'Error interno del servidor' });
+    });
+
+    return app;
+}
@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import logger, { logToStderr } from './logger.mjs';
+import DBManager from './DBManager.mjs';
+import { createFileManager } from './FileManager.mjs';
+import GameRegistry from './GameRegistry.mjs';
+import SyncManager from './SyncManager.mjs';
+import StatsManager from './StatsManager.mjs';
+import TicketChecker from './TicketChecker.mjs';
+import { VALIDATION_MODES } from './CsvValidator.mjs';
+import { toISODate } from './dateUtils.mjs';
+import config from './config.mjs';
+
+/**
+ * Línea de comandos para la carga de datos, las consultas y el mantenimiento, sin iniciar el servidor.
+ * Se ejecuta desde la raíz del proyecto: las rutas de la configuración (ver config.mjs) son relativas a ella.
+ *
+ * Uso:
+ *   lotteries <comando> [argumentos] [opciones]
+ *
+ * Los logs se escriben en stderr; la salida de los comandos en stdout, en texto o en JSON con --json.
+ * El código de salida es 0 si el comando terminó bien, 1 si falló y 2 si sus argumentos son inválidos.
+ */
+
+// Error en los argumentos de un comando: se muestra junto con su uso
+class UsageError extends Error {}
+
+// Opciones comunes a todos los comandos
+const commonOptions = {
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const commands = {
+    sync: {
+        usage: 'sync [juego...] [--modo insertNewOnly|reloadAll] [--validacion skipInvalid|abortOnInvalid]',
+        description: 'Descarga y carga el histórico de los juegos indicados (por defecto, todos).',
+        options: {
+            modo: { type: 'string' },
+            validacion: { type: 'string' }
+        },
+        run: (context, { positionals, values }) => syncGames(context, resolveGames(context, positionals), values)
+    },
+    reload: {
+        usage: 'reload [juego...] [--validacion skipInvalid|abortOnInvalid]',
+        description: 'Descarga el histórico y recarga por completo los juegos indicados (por defecto, todos).',
+        options: {
+            validacion: { type: 'string' }
+        },
+        run: (context, { positionals, values }) => syncGames(context, resolveGames(context, positionals), { ...values, modo: 'reloadAll' })
+    },
+    import: {
+        usage: 'import <archivo> [--juego id] [--modo insertNewOnly|reloadAll] [--validacion skipInvalid|abortOnInvalid]',
+        description: 'Carga un archivo CSV local en lugar de descargarlo.',
+        options: {
+            juego: { type: 'string', short: 'j' },
+            modo: { type: 'string' },
+            validacion: { type: 'string' }
+        },
+        run: importFile
+    },
+    stats: {
+        usage: 'stats [--juego id] [--desde fecha] [--hasta fecha] [--ventana n]',
+        description: 'Muestra la frecuencia, las brechas y el estado caliente/frío de cada número.',
+        options: {
+            juego: { type: 'string', short: 'j' },
+            desde: { type: 'string' },
+            hasta: { type: 'string' },
+            ventana: { type: 'string' }
+        },
+        run: showStats
+    },
+    check: {
+        usage: 'check <numeros> [--juego id] [--concurso n | --concursos desde-hasta]',
+        description: 'Verifica un boleto (números separados por comas o espacios) contra el último concurso o los indicados.',
+        options: {
+            juego: { type: 'string', short: 'j' },
+            concurso: { type: 'string' },
+            concursos: { type: 'string' }
+        },
+        run: checkTicket
+    },
+    'db:backup': {
+        usage: 'db:backup [destino]',
+        description: 'Crea una copia consistente de la base de datos (por defecto en backupDirectory).',
+        options: {},
+        run: backupDatabase
+    }
+};
+
+// Crea una instancia de DBManager con la configuración; cada comando abre y cierra su conexión
+function createDBManager({ config, games }) {
+    return new DBManager(config.databasePath, {
+        games: games.list(),
+        maxCombinationSize: config.combinaciones?.maxK
+    });
+}
+
+// Resuelve un juego por su id, o el juego por defecto si no se indica
+function resolveGame({ games }, id) {
+    const game = id ? games.get(id) : games.getDefault();
+    if (!game) {
+        throw new UsageError(`Juego no encontrado: ${id}`);
+    }
+    return game;
+}
+
+// Resuelve los juegos indicados como argumentos, o todos si no se indica ninguno
+function resolveGames(context, ids) {
+    return ids.length ? ids.map((id) => resolveGame(context, id)) : context.games.list();
+}
+
+function checkOption(name, value, allowed) {
+    if (value !== undefined && !allowed.includes(value)) {
+        throw new UsageError(`--${name} debe ser uno de: ${allowed.join(', ')}`);
+    }
+}
+
+function parseInteger(name, value, min = 1) {
+    if (!/^\d+$/.test(value) || Number(value) < min) {
+        throw new UsageError(`--${name} debe ser un número entero mayor o igual a ${min}`);
+    }
+    return Number(value);
+}
+
+function parseDate(name, value) {
+    const date = toISODate(value);
+    if (!date) {
+        throw new UsageError(`--${name} debe ser una fecha YYYY-MM-DD o DD/MM/YYYY`);
+    }
+    return date;
+}
+
+// Imprime el resultado en JSON o, si no se pidió JSON, con la función de formato del comando
+function print(result, { json }, format) {
+    console.log(json ? JSON.stringify(result, null, 2) : format(result));
+}
+
+// Sincroniza los juegos uno tras otro; un juego con error no detiene a los demás pero el comando falla
+async function syncGames(context, targets, { modo, validacion, json }) {
+    checkOption('modo', modo, ['insertNewOnly', 'reloadAll']);
+    checkOption('validacion', validacion, VALIDATION_MODES);
+
+    const syncManager = createSyncManager(context);
+    const results = [];
+    for (const game of targets) {
+        try {
+            results.push(await syncManager.runSync(game, { mode: modo, validationMode: validacion }));
+        } catch (error) {
+            results.push({ juego: game.id, error: error.message, reporte: error.reporte ?? null });
+        }
+    }
+    await syncManager.shutdown();
+
+    print(results, { json }, (lines) => lines.map(formatSyncResult).join('\n'));
+    if (results.some((result) => result.error)) {
+        process.exitCode = 1;
+    }
+}
+
+async function importFile(context, { positionals, values }) {
+    const [filePath] = positionals;
+    if (!filePath || positionals.length > 1) {
+        throw new UsageError('Indique un solo archivo CSV');
+    }
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`El archivo no existe: ${filePath}`);
+    }
+    checkOption('modo', values.modo, ['insertNewOnly', 'reloadAll']);
+    checkOption('validacion', values.validacion, VALIDATION_MODES);
+
+    const game = resolveGame(context, values.juego);
+    const syncManager = createSyncManager(context);
+    let result;
+    try {
+        result = await syncManager.runSync(game, {
+            mode: values.modo,
+            filePath,
+            validationMode: values.validacion
+        });
+    } finally {
+        await syncManager.shutdown();
+    }
+    print(result, values, formatSyncResult);
+}
+
+function createSyncManager(context) {
+    const { config } = context;
+    return new SyncManager({
+        dbManager: createDBManager(context),
+        fileManager: createFileManager(config),
+        saveDirectory: config.saveDirectory,
+        operationMode: config.operationMode,
+        validationMode: config.validationMode,
+        reportDirectory: config.reportDirectory
+    });
+}
+
+function formatSyncResult(result) {
+    if (result.error) {
+        return `${result.juego}: error: ${result.error}${result.reporte ? ` (reporte: ${result.reporte})` : ''}`;
+    }
+    if (result.sinCambios) {
+        return `${result.juego} (${result.modo}): sin cambios desde la última carga`;
+    }
+    return `${result.juego} (${result.modo}): ${result.insertados} insertados, ${result.actualizados} corregidos, `
+        + `${result.rechazados} rechazados${result.reporte ? ` (reporte: ${result.reporte})` : ''}`;
+}
+
+async function showStats(context, { positionals, values }) {
+    if (positionals.length > 0) {
+        throw new UsageError(`Argumento inesperado: ${positionals[0]}`);
+    }
+    const game = resolveGame(context, values.juego);
+    const filters = {
+        desde: values.desde && parseDate('desde', values.desde),
+        hasta: values.hasta && parseDate('hasta', values.hasta)
+    };
+    const ventana = values.ventana && parseInteger('ventana', values.ventana);
+
+    await withDatabase(context, async (dbManager) => {
+        const statsManager = new StatsManager(dbManager, context.config.estadisticas);
+        const stats = await statsManager.getNumberStatistics(game, filters, { ventana });
+        print(stats, values, formatStats);
+    });
+}
+
+function formatStats({ juego, concursos, ventana, numeros, adicional }) {
+    const header = 'numero  frecuencia  brecha  brechaMax  ventana  estado';
+    const rows = (list) => list.map((entry) => [
+        String(entry.numero).padStart(6),
+        String(entry.frecuencia).padStart(10),
+        String(entry.brechaActual).padStart(6),
+        String(entry.brechaMaxima).padStart(9),
+        String(entry.frecuenciaVentana).padStart(7),
+        entry.estado
+    ].join('  '));
+
+    const lines = [`${juego}: ${concursos} concursos, ventana de ${ventana}`, header, ...rows(numeros)];
+    if (adicional) {
+        lines.push('', 'Adicional', header, ...rows(adicional));
+    }
+    return lines.join('\n');
+}
+
+async function checkTicket(context, { positionals, values }) {
+    const game = resolveGame(context, values.juego);
+    const text = positionals.join(',');
+    const numbers = text.split(/[\s,]+/).filter(Boolean).map((value) => (/^\d+$/.test(value) ? Number(value) : NaN));
+    if (values.concurso && values.concursos) {
+        throw new UsageError('Use --concurso o --concursos, no ambos');
+    }
+
+    let range = null;
+    if (values.concurso) {
+        const concurso = parseInteger('concurso', values.concurso);
+        range = [concurso, concurso];
+    } else if (values.concursos) {
+        const match = values.concursos.match(/^(\d+)-(\d+)$/);
+        if (!match || Number(match[1]) > Number(match[2])) {
+            throw new UsageError('--concursos debe tener el formato desde-hasta, p. ej. 3900-3950');
+        }
+        range = [Number(match[1]), Number(match[2])];
+    }
+
+    await withDatabase(context, async (dbManager) => {
+        const ticketChecker = new TicketChecker(dbManager);
+        const motivo = ticketChecker.validateTicket(game, numbers);
+        if (motivo) {
+            throw new UsageError(`Boleto inválido: ${motivo}`);
+        }
+        if (!range) {
+            // Por defecto, el último concurso registrado
+            const latest = await dbManager.getLatestConcurso(game, ['CONCURSO']);
+            if (!latest) {
+                throw new Error(`No hay concursos registrados de ${game.nombre}`);
+            }
+            range = [latest.CONCURSO, latest.CONCURSO];
+        }
+        const result = await ticketChecker.checkTickets(game, [numbers], ...range);
+        print(result, values, formatCheck);
+    });
+}
+
+function formatCheck({ juego, concursos, boletos: [boleto] }) {
+    const lines = [`${juego}: boleto ${boleto.numeros.join(', ')}, ${boleto.premiados} premios en ${concursos} concursos`];
+    for (const { concurso, fecha, aciertos, adicional, categoria } of boleto.resultados) {
+        if (categoria !== null || concursos === 1) {
+            lines.push(`  Concurso ${concurso} (${fecha}): ${aciertos.length} aciertos [${aciertos.join(', ')}]`
+                + `${adicional ? ' + adicional' : ''} -> ${categoria ?? 'sin premio'}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+async function backupDatabase(context, { positionals, values }) {
+    if (positionals.length > 1) {
+        throw new UsageError('Indique un solo destino');
+    }
+    const fecha = new Date().toISOString().replace(/[:.]/g, '-');
+    const destination = positionals[0]
+        || path.join(context.config.backupDirectory || path.dirname(context.config.databasePath), `lotteries_${fecha}.db`);
+
+    await withDatabase(context, async (dbManager) => {
+        const archivo = await dbManager.backup(destination);
+        print({ archivo }, values, () => `Respaldo creado en ${archivo}`);
+    });
+}
+
+// Ejecuta una operación con una conexión propia y la cierra al terminar
+async function withDatabase(context, operation) {
+    const dbManager = createDBManager(context);
+    try {
+        await dbManager.connect();
+        await operation(dbManager);
+    } finally {
+        await dbManager.close();
+    }
+}
+
+function printUsage(command) {
+    if (command) {
+        console.error(`Uso: lotteries ${commands[command].usage}\n\n${commands[command].description}`);
+        return;
+    }
+    console.error('Uso: lotteries <comando> [argumentos] [opciones]\n\nComandos:');
+    for (const { usage, description } of Object.values(commands)) {
+        console.error(`  ${usage}\n      ${description}`);
+    }
+    console.error('\nOpciones comunes:\n  --json      Salida en JSON\n  -h, --help  Muestra el uso del comando');
+}
+
+async function main(argv) {
+    const [name, ...rest] = argv;
+    if (!name || name === '--help' || name === '-h' || name === 'help') {
+        printUsage();
+        return;
+    }
+    const command = commands[name];
+    if (!command) {
+        console.error(`Comando desconocido: ${name}\n`);
+        printUsage();
+        process.exitCode = 2;
+        return;
+    }
+
+    try {
+        const args = parseArgs({
+            args: rest,
+            options: { ...commonOptions, ...command.options },
+            allowPositionals: true
+        });
+        if (args.values.help) {
+            printUsage(name);
+            return;
+        }
+
+        const context = { config, games: new GameRegistry(config.juegos, config.defaultGame) };
+        await command.run(context, args);
+    } catch (error) {
+        // parseArgs señala las opciones desconocidas o sin valor con códigos ERR_PARSE_ARGS_*
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error(`${error.message}\n`);
+            printUsage(name);
+            process.exitCode = 2;
+            return;
+        }
+        logger.error(`Error en el comando ${name}: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+logToStderr();
+await main(process.argv.slice(2));
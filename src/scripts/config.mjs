@@ -0,0 +1,311 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import GameRegistry from './GameRegistry.mjs';
+
+/**
+ * Configuración del servicio.
+ *
+ * Todos los módulos obtienen la configuración de aquí. Se lee de src/config/config.json (la ruta no depende
+ * del directorio desde el que se ejecuta el proceso) o del archivo indicado en LOTTERIES_CONFIG, se le aplican
+ * las variables de entorno y se valida contra el esquema; si algo no es válido el proceso no inicia y el error
+ * lista todos los problemas encontrados. Las rutas dentro del archivo siguen siendo relativas al directorio
+ * de trabajo.
+ *
+ * El entorno (sección con la configuración de logs) se elige con NODE_ENV: 'development', 'production' o
+ * 'test' (sección "testing"). Sin NODE_ENV se usa 'development'; el archivo no elige el entorno, así el mismo
+ * archivo sirve para todos (Heroku define NODE_ENV=production).
+ *
+ * Variables de entorno que reemplazan valores del archivo (p. ej. en Heroku, donde no se edita el archivo):
+ * - LOTTERIES_URL: URL de origen del juego por defecto.
+ * - LOTTERIES_URL_<JUEGO>: URL de origen de un juego (p. ej. LOTTERIES_URL_REVANCHA).
+ * - LOTTERIES_DB_PATH: ruta de la base de datos (databasePath).
+ * - LOTTERIES_OPERATION_MODE: modo de operación de las sincronizaciones (operationMode).
+ * - LOTTERIES_MAX_PAGE_SIZE: tamaño máximo de página de la API (maxPageSize).
+ */
+
+export const CONFIG_PATH = fileURLToPath(new URL('../config/config.json', import.meta.url));
+
+// Valores de NODE_ENV y la sección de config.json que les corresponde
+const ENVIRONMENTS = { development: 'development', production: 'production', test: 'testing', testing: 'testing' };
+
+/**
+ * Error de configuración.
+ * Lleva la lista de problemas encontrados ({ campo, mensaje }) para mostrarlos todos a la vez.
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string} message - Descripción del error.
+     * @param {Array<Object>} errores - Problemas encontrados ({ campo, mensaje }).
+     */
+    constructor(message, errores = []) {
+        super(errores.length ? `${message}:\n${errores.map(({ campo, mensaje }) => `  - ${campo}: ${mensaje}`).join('\n')}` : message);
+        this.name = 'ConfigError';
+        this.errores = errores;
+    }
+}
+
+// Descriptores del esquema. Los campos son opcionales salvo que se indique 'requerido'; 'valores' son los
+// valores permitidos, 'minimo' y 'maximo' límites inclusivos, 'mayorQue' un límite exclusivo y 'cada' el descriptor
+// de cada elemento de un objeto indexado por clave (p. ej. los juegos)
+const string = (options = {}) => ({ tipo: 'string', ...options });
+const integer = (options = {}) => ({ tipo: 'integer', ...options });
+const number = (options = {}) => ({ tipo: 'number', ...options });
+const boolean = (options = {}) => ({ tipo: 'boolean', ...options });
+const object = (propiedades, options = {}) => ({ tipo: 'object', propiedades, ...options });
+const array = (elementos, options = {}) => ({ tipo: 'array', elementos, ...options });
+const map = (cada, options = {}) => ({ tipo: 'object', cada, ...options });
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+// Sección de un entorno: configuración de los logs
+const environmentSchema = object({
+    fileLogLevel: string({ requerido: true, valores: LOG_LEVELS }),
+    consoleLogLevel: string({ requerido: true, valores: LOG_LEVELS }),
+    defaultLogLevel: string({ requerido: true, valores: LOG_LEVELS }),
+    logToConsole: boolean({ requerido: true }),
+    logToFile: boolean({ requerido: true }),
+    logFilePath: string({ requerido: true }),
+    logFileMaxSize: integer({ requerido: true, minimo: 1 }),
+    logFileMaxFiles: integer({ requerido: true, minimo: 1 }),
+    logRequests: boolean()
+});
+
+// Definición de un juego; GameRegistry valida después la coherencia entre los campos
+const gameSchema = object({
+    nombre: string({ requerido: true }),
+    url: string({ requerido: true, patron: /^https?:\/\//, descripcion: 'una URL http(s)' }),
+    tabla: string({ requerido: true, patron: /^[A-Za-z_][A-Za-z0-9_]*$/, descripcion: 'un nombre de tabla válido' }),
+    horario: string(),
+    fileName: string({ requerido: true }),
+    bolas: integer({ requerido: true, minimo: 1 }),
+    minimo: integer({ requerido: true }),
+    maximo: integer({ requerido: true }),
+    precioBoleto: number({ mayorQue: 0, nulo: true }),
+    adicional: boolean(),
+    repeticion: boolean(),
+    premios: array(object({
+        nombre: string({ requerido: true }),
+        aciertos: integer({ requerido: true, minimo: 1 }),
+        adicional: boolean(),
+        bolsa: boolean(),
+        monto: number({ minimo: 0 })
+    }))
+});
+
+export const CONFIG_SCHEMA = object({
+    development: environmentSchema,
+    production: environmentSchema,
+    testing: environmentSchema,
+    saveDirectory: string({ requerido: true }),
+    databasePath: string({ requerido: true }),
+    operationMode: string({ requerido: true, valores: ['insertNewOnly', 'reloadAll'] }),
+    validationMode: string({ valores: ['skipInvalid', 'abortOnInvalid'] }),
+    reportDirectory: string(),
+    backupDirectory: string(),
+    maxPageSize: integer({ minimo: 1 }),
+    defaultGame: string(),
+    shutdownTimeout: integer({ minimo: 0 }),
+    fuente: object({
+        tipo: string({ valores: ['remota', 'local', 'fixture'] }),
+        ruta: string(),
+        puerto: integer({ minimo: 0, maximo: 65535 })
+    }),
+    descargas: object({
+        reintentos: integer({ minimo: 0 }),
+        espera: integer({ minimo: 0 }),
+        timeout: integer({ minimo: 1 }),
+        caFile: string({ nulo: true }),
+        verificarCertificado: boolean(),
+        directorioArchivo: string({ nulo: true })
+    }),
+    combinaciones: object({
+        maxK: integer({ minimo: 1 })
+    }),
+    verificacion: object({
+        maxBoletos: integer({ minimo: 1 }),
+        maxConcursos: integer({ minimo: 1 })
+    }),
+    estadisticas: object({
+        ventana: integer({ minimo: 1 }),
+        umbral: number({ minimo: 0, maximo: 1 }),
+        bolsa: object({
+            umbralReinicio: number({ minimo: 0, maximo: 1 }),
+            ventana: integer({ minimo: 1 }),
+            top: integer({ minimo: 1 }),
+            redenominacion: object({
+                antesDe: string({ patron: /^\d{4}-\d{2}-\d{2}$/, descripcion: 'una fecha YYYY-MM-DD' }),
+                divisor: number({ minimo: 1 })
+            }, { nulo: true })
+        }),
+        patrones: object({
+            anchoSuma: integer({ minimo: 1 }),
+            coberturaTipica: number({ minimo: 0, maximo: 1 })
+        })
+    }),
+    salud: object({
+        maxEdadSincronizacion: integer({ minimo: 1, nulo: true })
+    }),
+    sync: object({
+        horario: string({ requerido: true }),
+        zonaHoraria: string(),
+        alIniciar: boolean()
+    }, { requerido: true }),
+    juegos: map(gameSchema, { requerido: true })
+});
+
+/**
+ * Lee, completa con las variables de entorno y valida la configuración.
+ * @param {Object} options - Opciones.
+ * @param {Object} [options.environment] - Variables de entorno; por defecto process.env.
+ * @param {string} [options.configPath] - Ruta del archivo; por defecto LOTTERIES_CONFIG o src/config/config.json.
+ * @returns {Object} - La configuración, con 'env' igual al entorno elegido.
+ * @throws {ConfigError} - Si el archivo no se puede leer o la configuración no es válida.
+ */
+export function loadConfig({ environment = process.env, configPath = environment.LOTTERIES_CONFIG || CONFIG_PATH } = {}) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Error al cargar el archivo de configuración ${configPath}: ${error.message}`);
+    }
+
+    const sources = applyOverrides(config, environment);
+    const errores = [];
+    validateValue(config, CONFIG_SCHEMA, '', errores);
+
+    // Entorno: NODE_ENV o, si no está definido, development. La clave "env" de versiones anteriores del archivo
+    // se rechaza en lugar de ignorarse, para que un archivo que la usaba no cambie de entorno sin aviso
+    if (config.env !== undefined) {
+        errores.push({ campo: 'env', mensaje: 'ya no se usa: el entorno se elige con NODE_ENV' });
+    }
+    const requested = environment.NODE_ENV || 'development';
+    const env = ENVIRONMENTS[requested];
+    if (!env) {
+        errores.push({ campo: 'NODE_ENV', mensaje: `debe ser uno de: ${Object.keys(ENVIRONMENTS).join(', ')} (recibido '${requested}')` });
+    } else if (!config[env]) {
+        errores.push({ campo: env, mensaje: `falta la sección del entorno '${requested}'` });
+    }
+    config.env = env;
+
+    // Coherencia de los juegos entre sí (rangos, premios, juego por defecto)
+    if (!errores.some(({ campo }) => campo.startsWith('juegos') || campo === 'defaultGame')) {
+        try {
+            new GameRegistry(config.juegos, config.defaultGame);
+        } catch (error) {
+            errores.push({ campo: 'juegos', mensaje: error.message });
+        }
+    }
+
+    if (errores.length > 0) {
+        // Indicar la variable de entorno de la que vino cada valor inválido
+        const detalles = errores.map((error) => (sources[error.campo] ? { ...error, campo: `${error.campo} (${sources[error.campo]})` } : error));
+        throw new ConfigError(`La configuración ${configPath} no es válida`, detalles);
+    }
+    return config;
+}
+
+// Aplica las variables LOTTERIES_*; devuelve el campo reemplazado por cada variable
+function applyOverrides(config, environment) {
+    const sources = {};
+    const set = (campo, variable, apply) => {
+        const value = environment[variable];
+        if (value !== undefined && value !== '') {
+            apply(value);
+            sources[campo] = variable;
+        }
+    };
+
+    set('databasePath', 'LOTTERIES_DB_PATH', (value) => { config.databasePath = value; });
+    set('operationMode', 'LOTTERIES_OPERATION_MODE', (value) => { config.operationMode = value; });
+    set('maxPageSize', 'LOTTERIES_MAX_PAGE_SIZE', (value) => { config.maxPageSize = /^\d+$/.test(value) ? Number(value) : value; });
+
+    const juegos = config.juegos && typeof config.juegos === 'object' ? config.juegos : {};
+    const defaultGame = config.defaultGame || Object.keys(juegos)[0];
+    if (juegos[defaultGame]) {
+        set(`juegos.${defaultGame}.url`, 'LOTTERIES_URL', (value) => { juegos[defaultGame].url = value; });
+    }
+    for (const [id, game] of Object.entries(juegos)) {
+        set(`juegos.${id}.url`, `LOTTERIES_URL_${id.toUpperCase()}`, (value) => { game.url = value; });
+    }
+    return sources;
+}
+
+// Valida un valor contra su descriptor y acumula los errores con la ruta del campo
+function validateValue(value, schema, campo, errores) {
+    const error = (mensaje) => errores.push({ campo: campo || '(raíz)', mensaje });
+
+    if (value === undefined) {
+        if (schema.requerido) {
+            error('es requerido');
+        }
+        return;
+    }
+    if (value === null) {
+        if (!schema.nulo) {
+            error('no puede ser null');
+        }
+        return;
+    }
+
+    switch (schema.tipo) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return error(`debe ser texto (recibido ${JSON.stringify(value)})`);
+            }
+            if (schema.patron && !schema.patron.test(value)) {
+                return error(`debe ser ${schema.descripcion} (recibido '${value}')`);
+            }
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (schema.tipo === 'integer' && !Number.isInteger(value))) {
+                return error(`debe ser un número${schema.tipo === 'integer' ? ' entero' : ''} (recibido ${JSON.stringify(value)})`);
+            }
+            if (schema.minimo !== undefined && value < schema.minimo) {
+                return error(`debe ser mayor o igual a ${schema.minimo} (recibido ${value})`);
+            }
+            if (schema.mayorQue !== undefined && value <= schema.mayorQue) {
+                return error(`debe ser mayor a ${schema.mayorQue} (recibido ${value})`);
+            }
+            if (schema.maximo !== undefined && value > schema.maximo) {
+                return error(`debe ser menor o igual a ${schema.maximo} (recibido ${value})`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return error(`debe ser true o false (recibido ${JSON.stringify(value)})`);
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return error('debe ser una lista');
+            }
+            value.forEach((item, i) => validateValue(item, schema.elementos, `${campo}[${i}]`, errores));
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return error('debe ser un objeto');
+            }
+            for (const [key, propertySchema] of Object.entries(schema.propiedades || {})) {
+                validateValue(value[key], propertySchema, campo ? `${campo}.${key}` : key, errores);
+            }
+            if (schema.cada) {
+                if (Object.keys(value).length === 0) {
+                    return error('debe tener al menos un elemento');
+                }
+                for (const [key, item] of Object.entries(value)) {
+                    validateValue(item, schema.cada, `${campo}.${key}`, errores);
+                }
+            }
+            break;
+    }
+
+    if (schema.valores && !schema.valores.includes(value)) {
+        error(`debe ser uno de: ${schema.valores.join(', ')} (recibido '${value}')`);
+    }
+}
+
+// Configuración del proceso, cargada una sola vez
+const config = loadConfig();
+
+export default config;
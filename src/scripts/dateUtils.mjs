@@ -0,0 +1,55 @@
+/**
+ * Utilidades de fechas.
+ *
+ * El histórico de la Lotería Nacional publica las fechas como DD/MM/YYYY; en la base de datos
+ * se almacenan como YYYY-MM-DD para que MIN, MAX y ORDER BY funcionen correctamente.
+ */
+
+// Nombres de los días de la semana según el número que devuelve strftime('%w') de SQLite
+export const DAY_NAMES = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+
+/**
+ * Convierte una fecha DD/MM/YYYY o YYYY-MM-DD al formato ISO YYYY-MM-DD.
+ * @param {string} value - La fecha a convertir.
+ * @returns {string|null} - La fecha en formato ISO, o null si no es una fecha válida.
+ */
+export function toISODate(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const text = value.trim();
+    let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    let year, month, day;
+    if (match) {
+        [, day, month, year] = match.map(Number);
+    } else {
+        match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) {
+            return null;
+        }
+        [, year, month, day] = match.map(Number);
+    }
+
+    // Descartar fechas inexistentes como 31/02/2024
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Convierte un día de la semana (número 0-6 o nombre en español) a su número.
+ * @param {string|number} value - El día, p. ej. 3, 'miercoles' o 'miércoles'.
+ * @returns {number|null} - El número del día (0 = domingo), o null si no es válido.
+ */
+export function toDayOfWeek(value) {
+    const text = String(value).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (/^[0-6]$/.test(text)) {
+        return Number(text);
+    }
+    const index = DAY_NAMES.indexOf(text);
+    return index === -1 ? null : index;
+}
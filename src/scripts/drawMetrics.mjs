@@ -0,0 +1,67 @@
+import { mainColumns } from './GameRegistry.mjs';
+
+/**
+ * Métricas de distribución de los números naturales de un concurso (sin la bola adicional).
+ * Se calculan al cargar cada concurso y se guardan en la tabla 'Metricas' (ver DBManager.indexDrawMetrics);
+ * las mismas funciones describen un boleto para compararlo con la serie histórica.
+ *
+ * - suma: suma de los números.
+ * - pares: cuántos números son pares (los impares son el resto).
+ * - bajos: cuántos números están en la mitad inferior del rango del juego (los altos son el resto).
+ * - rango: diferencia entre el número mayor y el menor.
+ * - consecutivos: pares de números consecutivos (14, 15, 16 son dos pares).
+ * - decenas: cuántos números caen en cada decena, de la menor a la mayor del rango (p. ej. '1-2-0-2-1-0').
+ */
+
+// Columna de cada métrica en la tabla 'Metricas'. Las ordinales se pueden comparar por percentil; 'decenas' es un patrón.
+export const METRICS = {
+    suma: { columna: 'SUMA', ordinal: true },
+    pares: { columna: 'PARES', ordinal: true },
+    bajos: { columna: 'BAJOS', ordinal: true },
+    rango: { columna: 'RANGO', ordinal: true },
+    consecutivos: { columna: 'CONSECUTIVOS', ordinal: true },
+    decenas: { columna: 'DECENAS', ordinal: false }
+};
+
+/**
+ * Calcula las métricas de un conjunto de números.
+ * @param {Object} game - Juego del registro (GameRegistry).
+ * @param {Array<number>} numbers - Números naturales del concurso o del boleto.
+ * @returns {Object} - { suma, pares, bajos, rango, consecutivos, decenas }
+ */
+export function computeDrawMetrics(game, numbers) {
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const distinct = new Set(sorted);
+    const boundary = lowHighBoundary(game);
+    const firstDecade = Math.floor(game.minimo / 10);
+    const decades = Array(Math.floor(game.maximo / 10) - firstDecade + 1).fill(0);
+    sorted.forEach((number) => decades[Math.floor(number / 10) - firstDecade]++);
+
+    return {
+        suma: sorted.reduce((sum, number) => sum + number, 0),
+        pares: sorted.filter((number) => number % 2 === 0).length,
+        bajos: sorted.filter((number) => number < boundary).length,
+        rango: sorted[sorted.length - 1] - sorted[0],
+        consecutivos: [...distinct].filter((number) => distinct.has(number + 1)).length,
+        decenas: decades.join('-')
+    };
+}
+
+/**
+ * Obtiene los números naturales de un concurso (fila de la tabla del juego).
+ * @param {Object} game - Juego del registro (GameRegistry).
+ * @param {Object} draw - Concurso.
+ * @returns {Array<number>} - Números de R1..Rn.
+ */
+export function drawNumbers(game, draw) {
+    return mainColumns(game).map((column) => draw[column]);
+}
+
+/**
+ * Primer número de la mitad superior del rango del juego: en Melate (1-56) los bajos son 1-28 y los altos 29-56.
+ * @param {Object} game - Juego del registro (GameRegistry).
+ * @returns {number}
+ */
+export function lowHighBoundary(game) {
+    return game.minimo + Math.floor((game.maximo - game.minimo + 1) / 2);
+}
@@ -1,81 +1,120 @@
-import FileManager from './FileManager.mjs';
 import logger from './logger.mjs';
 import DBManager from './DBManager.mjs';
+import GameRegistry from './GameRegistry.mjs';
+import SyncManager from './SyncManager.mjs';
+import { createFileManager } from './FileManager.mjs';
 import fs from 'fs';
-import https from 'https';
-import app from './app.mjs';
-
-// Configurar un agente HTTPS que ignora la verificación de certificados
-const agent = new https.Agent({
-    rejectUnauthorized: false
-});
-
-const configPath = './src/config/config.json';
+import { fileURLToPath } from 'url';
+import { createApp } from './app.mjs';
+import defaultConfig from './config.mjs';
 
 /**
- * Función para cargar el archivo de configuración config.json.
- * @returns {object} - Configuración cargada desde el archivo config.json.
+ * Inicia el servicio: crea la API y sus dependencias, abre la conexión de la API (aplica las migraciones
+ * pendientes), inicia el servidor y después sincroniza al iniciar (si así está configurado) y programa las
+ * sincronizaciones periódicas. Las señales SIGTERM y SIGINT apagan el servidor de forma ordenada.
+ * @param {Object} options - Opciones de inicio.
+ * @param {Object} [options.config] - Configuración; por defecto la del proceso (ver config.mjs).
+ * @param {number|string} [options.port] - Puerto de la aplicación; por defecto PORT o 3000.
+ * @returns {Promise<{app: express.Application, server: http.Server, syncManager: SyncManager}>}
+ * @throws {Error} - Si no se puede abrir la base de datos o iniciar el servidor.
  */
-function loadConfig() {
-    try {
-        const configData = fs.readFileSync(configPath, 'utf8');
-        return JSON.parse(configData);
-    } catch (error) {
-        logger.error(`Error al cargar el archivo de configuración: ${error.message}`);
-        throw error;
+export async function start({ config = defaultConfig, port = process.env.PORT || 3000 } = {}) {
+    // Extraer los parámetros del archivo de configuración
+    const { saveDirectory, operationMode } = config;
+
+    // Crear instancia de FileManager (con la fuente de datos configurada), DBManager y el registro de juegos
+    const fileManager = createFileManager(config);
+    const games = new GameRegistry(config.juegos, config.defaultGame);
+    const dbManager = new DBManager(config.databasePath, {
+        games: games.list(),
+        maxCombinationSize: config.combinaciones?.maxK
+    });
+
+    // El SyncManager queda disponible para las rutas de la API (p. ej. /sync/status)
+    const syncManager = new SyncManager({
+        dbManager,
+        fileManager,
+        saveDirectory,
+        operationMode,
+        validationMode: config.validationMode,
+        reportDirectory: config.reportDirectory
+    });
+    const app = createApp({ config, syncManager });
+
+    // Tiempo máximo para terminar las peticiones y la sincronización en curso al apagar
+    const shutdownTimeout = config.shutdownTimeout || 10000;
+
+    let server = null;
+    let shuttingDown = false;
+
+    /**
+     * Apaga el servidor de forma ordenada: deja de aceptar conexiones, espera las peticiones y la
+     * sincronización en curso, y cierra la conexión de la API. Si no termina a tiempo, fuerza la salida.
+     * @param {string} signal - Señal recibida (SIGTERM, SIGINT).
+     */
+    async function shutdown(signal) {
+        if (shuttingDown) {
+            return;
+        }
+        shuttingDown = true;
+        logger.info(`Señal ${signal} recibida. Deteniendo el servidor...`);
+
+        const timer = setTimeout(() => {
+            logger.error(`El servidor no se detuvo en ${shutdownTimeout} ms. Forzando la salida.`);
+            process.exit(1);
+        }, shutdownTimeout);
+        timer.unref();
+
+        try {
+            if (server) {
+                const closed = new Promise((resolve) => server.close(resolve));
+                server.closeIdleConnections();
+                await closed;
+            }
+            await syncManager.shutdown();
+            await app.locals.dbManager.close();
+            logger.info('Servidor detenido correctamente.');
+            process.exit(0);
+        } catch (error) {
+            logger.error(`Error al detener el servidor: ${error.message}`);
+            process.exit(1);
+        }
     }
-}
 
-// Cargar la configuración
-const config = loadConfig();
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
 
-// Extraer los parámetros del archivo de configuración
-const { url, saveDirectory, fileName, operationMode, maxPageSize } = config; // Incluye el límite de paginación
+    try {
+        await app.locals.dbManager.connect();
 
-// Crear instancia de FileManager y DBManager
-const fileManager = new FileManager(agent);
-const dbManager = new DBManager(config.databasePath);
+        server = await new Promise((resolve, reject) => {
+            const listening = app.listen(port, () => resolve(listening)).once('error', reject);
+        });
+        logger.info(`Servidor iniciado en el puerto ${port}`);
+    } catch (error) {
+        logger.error(`No se pudo iniciar el servidor: ${error.message}`);
+        throw error;
+    }
 
-// Usar el FileManager para descargar el archivo y manejar la base de datos
-(async () => {
     try {
         logger.info('El sistema ha iniciado correctamente.');
-        logger.debug('Iniciando la descarga del archivo CSV...');
-        
-        await fileManager.downloadFile(url, saveDirectory, fileName);
-        logger.info('El archivo CSV se ha descargado exitosamente!');
-
-        // Conectar a la base de datos
-        await dbManager.connect();
-
-        // Crear la tabla si no existe
-        await dbManager.createTableIfNotExists();
-
-        // Modo de operación
-        if (operationMode === 'insertNewOnly') {
-            logger.debug('Modo: insertNewOnly. Insertando solo registros nuevos.');
-            await dbManager.insertNewRecordsOnly(`${saveDirectory}/${fileName}`);
-        } else if (operationMode === 'reloadAll') {
-            logger.debug('Modo: reloadAll. Eliminando todos los datos y recargando.');
-            await dbManager.reloadAllData(`${saveDirectory}/${fileName}`);
-        } else {
-            logger.warn(`Modo de operación desconocido: ${operationMode}.`);
+
+        if (config.sync.alIniciar) {
+            await syncManager.runAll(games.list());
+            logger.info('Operaciones completadas exitosamente!');
         }
 
-        logger.info('Operaciones completadas exitosamente!');
+        if (!shuttingDown) {
+            syncManager.start(games.list(), config.sync);
+        }
     } catch (error) {
         logger.error(`Error durante la operación: ${error.message}`);
-    } finally {
-        // Cerrar la conexión a la base de datos
-        await dbManager.close();
     }
-})();
-
-// Definir el puerto de la aplicación
-const PORT = process.env.PORT || 3000;
-
-app.listen(PORT, () => {
-    logger.info(`Servidor iniciado en el puerto ${PORT}`);
-});
 
+    return { app, server, syncManager };
+}
 
+// Iniciar el servicio solo cuando este archivo es el punto de entrada (npm start), no al importarlo
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    start().catch(() => process.exit(1));
+}
@@ -1,80 +1,31 @@
 import winston from 'winston';
-import { readFileSync, existsSync } from 'fs';
 import winstonDailyRotateFile from 'winston-daily-rotate-file';
 import path from 'path';
+import config from './config.mjs';
 
-// Ruta al archivo de configuración
-const configPath = './src/config/config.json';
+// Configuración de logs del entorno elegido (ver config.mjs); el esquema ya validó sus parámetros
+const envConfig = config[config.env];
 
-// Verificar si el archivo config.json existe
-if (!existsSync(configPath)) {
-  throw new Error(`El archivo de configuración no se encuentra en la ruta: ${configPath}`);
-}
-
-// Intentar leer el archivo config.json
-let config;
-try {
-  config = JSON.parse(readFileSync(configPath, 'utf-8'));
-} catch (error) {
-  throw new Error(`Error al leer el archivo de configuración: ${error.message}`);
-}
-
-// Validar que se haya cargado correctamente el entorno y la configuración del entorno
-const env = config.env || 'development';
-const envConfig = config[env];
-
-if (!envConfig) {
-  throw new Error(`No se encontró la configuración para el entorno: ${env}`);
-}
-
-// Validar que los parámetros clave existan en la configuración del entorno
-const requiredParams = [
-  'fileLogLevel',
-  'consoleLogLevel',
-  'defaultLogLevel',
-  'logToConsole',
-  'logToFile',
-  'logFilePath',
-  'logFileMaxSize',
-  'logFileMaxFiles'
-];
-
-requiredParams.forEach(param => {
-  if (envConfig[param] === undefined) {
-    throw new Error(`Falta el parámetro de configuración requerido: ${param} en el entorno ${env}`);
-  }
-});
-
-// Función para obtener la información del stack trace (archivo, línea, método)
-const getStackInfo = () => {
-  const stacklist = (new Error()).stack.split('\n').slice(3);
-  const s = stacklist[0],
-        fileName = s.match(/\/([^\s]+)\)?/i)?.[1]?.split('/').pop() || 'unknown',
-        line = s.match(/:(\d+):\d+/)?.[1] || 'unknown';
-  return `${fileName}:${line}`;
-};
-
-// Formato personalizado para incluir archivo, clase, método y línea
-const customFormat = winston.format.printf(({ timestamp, level, message }) => {
-  const stackInfo = getStackInfo();
-  return `${timestamp} [${level}] [${stackInfo}] ${message}`;
-});
+// Formato de las líneas de log: fecha, nivel y mensaje
+const customFormat = winston.format.printf(({ timestamp, level, message }) => `${timestamp} [${level}] ${message}`);
 
 // Crear los transportes de logs según el entorno
 const transports = [];
 
+// Crear el transporte para consola; stderrLevels indica los niveles que se escriben en stderr
+const createConsoleTransport = (stderrLevels = []) => new winston.transports.Console({
+  level: envConfig.consoleLogLevel || envConfig.defaultLogLevel,
+  stderrLevels,
+  format: winston.format.combine(
+    winston.format.colorize(),
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    customFormat
+  )
+});
+
 // Configurar transporte para consola
 if (envConfig.logToConsole) {
-  transports.push(
-    new winston.transports.Console({
-      level: envConfig.consoleLogLevel || envConfig.defaultLogLevel,
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-        customFormat
-      )
-    })
-  );
+  transports.push(createConsoleTransport());
 }
 
 // Configurar transporte para archivo con rotación
@@ -103,4 +54,38 @@ const logger = winston.createLogger({
   transports: transports
 });
 
+/**
+ * Logger de las peticiones HTTP (ver requestTracking.mjs): una línea JSON por petición, con su identificador,
+ * ruta, estado y duración. Usa los mismos destinos que el logger general (en archivo, requests.log junto a
+ * logFilePath) y se activa con logRequests en la configuración del entorno.
+ */
+export const httpLogger = winston.createLogger({
+  level: 'http',
+  silent: !envConfig.logRequests,
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    ...(envConfig.logToConsole ? [new winston.transports.Console()] : []),
+    ...(envConfig.logToFile ? [new winstonDailyRotateFile({
+      filename: path.join(path.dirname(envConfig.logFilePath), 'requests.log'),
+      maxSize: envConfig.logFileMaxSize || '5m',
+      maxFiles: envConfig.logFileMaxFiles || '5d'
+    })] : [])
+  ]
+});
+
+/**
+ * Envía todos los logs de consola a stderr. Lo usa la línea de comandos (cli.mjs) para que stdout
+ * contenga solo la salida de los comandos y se pueda procesar desde otros scripts.
+ */
+export function logToStderr() {
+  const consoleTransport = logger.transports.find((transport) => transport instanceof winston.transports.Console);
+  if (consoleTransport) {
+    logger.remove(consoleTransport);
+    logger.add(createConsoleTransport(Object.keys(logger.levels)));
+  }
+}
+
 export default logger;
@@ -0,0 +1,223 @@
+/**
+ * Métricas del servicio en el formato de texto de Prometheus (GET /metrics).
+ *
+ * El registro es único por proceso, como el logger: el middleware de peticiones (requestTracking.mjs) y el
+ * SyncManager actualizan las métricas declaradas al final de este módulo, y la ruta /metrics las publica.
+ * Los contadores y los histogramas se acumulan desde que inicia el proceso.
+ */
+
+// Escapa el valor de una etiqueta (barra invertida, salto de línea y comillas)
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// Da formato a un valor numérico (Prometheus escribe los infinitos como +Inf y -Inf)
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN'));
+
+// Da formato a las etiquetas de una serie: {nombre="valor",...}, o nada si no tiene
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+/**
+ * Métrica con series identificadas por sus etiquetas.
+ */
+class Metric {
+    /**
+     * @param {string} name - Nombre de la métrica.
+     * @param {string} help - Descripción.
+     * @param {Array<string>} [labelNames] - Nombres de las etiquetas.
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Obtiene la serie de unas etiquetas, creándola con create() si no existe
+    seriesFor(labels, create) {
+        const values = this.labelNames.map((name) => String(labels[name] ?? ''));
+        const key = values.join('\u0000');
+        if (!this.series.has(key)) {
+            const seriesLabels = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+            this.series.set(key, { labels: seriesLabels, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * Elimina todas las series.
+     */
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Líneas de la métrica en el formato de texto de Prometheus.
+     * @returns {Array<string>}
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+/**
+ * Contador: solo aumenta.
+ */
+export class Counter extends Metric {
+    type = 'counter';
+
+    /**
+     * @param {Object} [labels] - Etiquetas de la serie.
+     * @param {number} [value] - Incremento (no negativo).
+     * @throws {Error} - Si el incremento es negativo.
+     */
+    inc(labels = {}, value = 1) {
+        if (value < 0) {
+            throw new Error(`El contador ${this.name} no puede disminuir`);
+        }
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+}
+
+/**
+ * Indicador: toma cualquier valor.
+ */
+export class Gauge extends Metric {
+    type = 'gauge';
+
+    /**
+     * @param {Object} labels - Etiquetas de la serie.
+     * @param {number} value - Valor.
+     */
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+/**
+ * Histograma: cuenta las observaciones en intervalos acumulados (le) y lleva su suma y su número.
+ */
+export class Histogram extends Metric {
+    type = 'histogram';
+
+    /**
+     * @param {string} name - Nombre de la métrica.
+     * @param {string} help - Descripción.
+     * @param {Array<string>} labelNames - Nombres de las etiquetas.
+     * @param {Array<number>} buckets - Límites superiores de los intervalos, en orden ascendente.
+     */
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    /**
+     * @param {Object} labels - Etiquetas de la serie.
+     * @param {number} value - Valor observado.
+     */
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bucket, i) => {
+            if (value <= bucket) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries({ labels, counts, sum, count }) {
+        return [
+            ...this.buckets.map((bucket, i) => `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bucket) })} ${counts[i]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ];
+    }
+}
+
+/**
+ * Registro de métricas.
+ */
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Registra una métrica.
+     * @param {Metric} metric - Métrica.
+     * @returns {Metric} - La misma métrica.
+     * @throws {Error} - Si ya hay una métrica con el mismo nombre.
+     */
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Métrica duplicada: ${metric.name}`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Elimina las series de todas las métricas.
+     */
+    reset() {
+        this.metrics.forEach((metric) => metric.reset());
+    }
+
+    /**
+     * Todas las métricas en el formato de texto de Prometheus.
+     * @returns {string}
+     */
+    render() {
+        return `${[...this.metrics.values()].flatMap((metric) => metric.render()).join('\n')}\n`;
+    }
+}
+
+// Tipo de contenido del formato de texto de Prometheus
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const metrics = new MetricsRegistry();
+
+// Peticiones HTTP; 'route' es la ruta de Express (p. ej. /juegos/:juego/concursos/:id), no la URL solicitada
+export const httpRequests = metrics.counter(
+    'lotteries_http_requests_total', 'Peticiones HTTP atendidas.', ['method', 'route', 'status']);
+export const httpRequestDuration = metrics.histogram(
+    'lotteries_http_request_duration_seconds', 'Duración de las peticiones HTTP en segundos.', ['method', 'route'],
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+// Sincronizaciones (ver SyncManager.runSync); 'estado' es el que queda en SyncHistory
+export const syncDuration = metrics.histogram(
+    'lotteries_sync_duration_seconds', 'Duración de las sincronizaciones en segundos.', ['juego', 'modo', 'estado'],
+    [1, 5, 15, 30, 60, 120, 300, 600]);
+export const syncRows = metrics.counter(
+    'lotteries_sync_rows_total', 'Filas procesadas por las sincronizaciones (insertados, actualizados o rechazados).', ['juego', 'tipo']);
+
+// Se actualizan con la base de datos de la API cada vez que se consulta /metrics
+export const drawCount = metrics.gauge(
+    'lotteries_concursos', 'Concursos almacenados por juego.', ['juego']);
+export const lastSuccessfulSync = metrics.gauge(
+    'lotteries_last_successful_sync_timestamp_seconds', 'Fin de la última sincronización exitosa (segundos desde 1970).', ['juego']);
+
+export default metrics;
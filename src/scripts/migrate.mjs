@@ -0,0 +1,53 @@
+import logger from './logger.mjs';
+import config from './config.mjs';
+import DBManager from './DBManager.mjs';
+import GameRegistry from './GameRegistry.mjs';
+
+/**
+ * Comando para administrar las migraciones del esquema sin iniciar el servidor.
+ *
+ * Uso:
+ *   node src/scripts/migrate.mjs            Aplica las migraciones pendientes y muestra su versión y descripción.
+ *   node src/scripts/migrate.mjs --dry-run  Ejecuta las migraciones pendientes y las revierte, mostrando su SQL.
+ *   node src/scripts/migrate.mjs --status   Muestra la versión actual y las migraciones pendientes.
+ */
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const statusOnly = args.includes('--status');
+
+const games = new GameRegistry(config.juegos, config.defaultGame);
+const dbManager = new DBManager(config.databasePath, {
+    games: games.list(),
+    autoMigrate: false,
+    maxCombinationSize: config.combinaciones?.maxK
+});
+
+try {
+    await dbManager.connect();
+
+    if (statusOnly) {
+        const { actual, pendientes } = await dbManager.getSchemaStatus();
+        console.log(`Versión actual del esquema: ${actual}`);
+        console.log(pendientes.length
+            ? `Migraciones pendientes:\n${pendientes.map((m) => `  ${m.version} - ${m.descripcion}`).join('\n')}`
+            : 'No hay migraciones pendientes.');
+    } else {
+        const results = await dbManager.migrate({ dryRun });
+        if (results.length === 0) {
+            console.log('No hay migraciones pendientes.');
+        }
+        // El SQL solo se muestra al verificar: una migración que rellena datos ejecuta miles de sentencias
+        for (const { version, descripcion, sql } of results) {
+            console.log(`${dryRun ? '[dry-run] ' : ''}${version} - ${descripcion}`);
+            if (dryRun) {
+                sql.forEach((statement) => console.log(`    ${statement}`));
+            }
+        }
+    }
+} catch (error) {
+    logger.error(`Error en las migraciones: ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    await dbManager.close();
+}
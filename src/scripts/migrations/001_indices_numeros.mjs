@@ -0,0 +1,22 @@
+import { numberColumns } from '../GameRegistry.mjs';
+
+export const description = 'Índices sobre las columnas de números (R1..Rn y adicional) de cada juego';
+
+/**
+ * Crea un índice por cada columna de números para acelerar las búsquedas de combinaciones.
+ * Las tablas que aún no existen se omiten: DBManager.createTableIfNotExists les crea sus índices.
+ * @param {Object} db - Conexión abierta (sqlite).
+ * @param {Object} context - Contexto de la migración.
+ * @param {Array<Object>} context.games - Juegos del registro.
+ */
+export async function up(db, { games }) {
+    for (const game of games) {
+        const exists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name = ?", [game.tabla]);
+        if (!exists) {
+            continue;
+        }
+        for (const column of numberColumns(game)) {
+            await db.run(`CREATE INDEX IF NOT EXISTS idx_${game.tabla}_${column} ON ${game.tabla} (${column})`);
+        }
+    }
+}
@@ -0,0 +1,18 @@
+export const description = 'Índice sobre la columna FECHA de cada juego';
+
+/**
+ * Crea el índice de FECHA para los filtros por rango de fechas y los ordenamientos por fecha.
+ * Las tablas que aún no existen se omiten: DBManager.createTableIfNotExists les crea sus índices.
+ * @param {Object} db - Conexión abierta (sqlite).
+ * @param {Object} context - Contexto de la migración.
+ * @param {Array<Object>} context.games - Juegos del registro.
+ */
+export async function up(db, { games }) {
+    for (const game of games) {
+        const exists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name = ?", [game.tabla]);
+        if (!exists) {
+            continue;
+        }
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_${game.tabla}_FECHA ON ${game.tabla} (FECHA)`);
+    }
+}
@@ -0,0 +1,30 @@
+export const description = 'Tabla Combinaciones con las combinaciones precalculadas de cada concurso';
+
+/**
+ * Crea la tabla 'Combinaciones' (una fila por combinación de k números de cada concurso) y la llena con
+ * los concursos ya almacenados. A partir de esta versión DBManager la mantiene al cargar cada CSV.
+ * @param {Object} db - Conexión abierta (sqlite).
+ * @param {Object} context - Contexto de la migración.
+ * @param {Array<Object>} context.games - Juegos del registro.
+ * @param {DBManager} context.dbManager - DBManager dueño de la conexión; calcula las combinaciones.
+ */
+export async function up(db, { games, dbManager }) {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS Combinaciones (
+            JUEGO TEXT NOT NULL,
+            K INTEGER NOT NULL,
+            COMBINACION TEXT NOT NULL,
+            CONCURSO INTEGER NOT NULL,
+            ADICIONAL INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (JUEGO, K, COMBINACION, CONCURSO)
+        ) WITHOUT ROWID
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_Combinaciones_CONCURSO ON Combinaciones (JUEGO, CONCURSO)');
+
+    for (const game of games) {
+        const exists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name = ?", [game.tabla]);
+        if (exists) {
+            await dbManager.rebuildCombinations(game);
+        }
+    }
+}
@@ -0,0 +1,33 @@
+export const description = 'Tabla Metricas con las métricas de distribución de cada concurso';
+
+/**
+ * Crea la tabla 'Metricas' (una fila por concurso con su suma, pares, bajos, rango, consecutivos y decenas,
+ * ver drawMetrics.mjs) y la llena con los concursos ya almacenados. A partir de esta versión DBManager la
+ * mantiene al cargar cada CSV.
+ * @param {Object} db - Conexión abierta (sqlite).
+ * @param {Object} context - Contexto de la migración.
+ * @param {Array<Object>} context.games - Juegos del registro.
+ * @param {DBManager} context.dbManager - DBManager dueño de la conexión; calcula las métricas.
+ */
+export async function up(db, { games, dbManager }) {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS Metricas (
+            JUEGO TEXT NOT NULL,
+            CONCURSO INTEGER NOT NULL,
+            SUMA INTEGER NOT NULL,
+            PARES INTEGER NOT NULL,
+            BAJOS INTEGER NOT NULL,
+            RANGO INTEGER NOT NULL,
+            CONSECUTIVOS INTEGER NOT NULL,
+            DECENAS TEXT NOT NULL,
+            PRIMARY KEY (JUEGO, CONCURSO)
+        ) WITHOUT ROWID
+    `);
+
+    for (const game of games) {
+        const exists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name = ?", [game.tabla]);
+        if (exists) {
+            await dbManager.rebuildMetrics(game);
+        }
+    }
+}
@@ -0,0 +1,18 @@
+export const description = 'Columna SHA256 en SyncHistory con el hash del archivo cargado';
+
+/**
+ * Agrega a 'SyncHistory' el SHA-256 del archivo de cada sincronización, que SyncManager usa para omitir
+ * la carga cuando el archivo descargado no cambió. Si la tabla aún no existe la crea la migración 007
+ * (DBManager.createSyncHistoryTableIfNotExists) con la columna incluida.
+ * @param {Object} db - Conexión abierta (sqlite).
+ */
+export async function up(db) {
+    const exists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name = 'SyncHistory'");
+    if (!exists) {
+        return;
+    }
+    const columns = await db.all('PRAGMA table_info(SyncHistory)');
+    if (!columns.some(({ name }) => name === 'SHA256')) {
+        await db.run('ALTER TABLE SyncHistory ADD COLUMN SHA256 TEXT');
+    }
+}
@@ -0,0 +1,25 @@
+export const description = 'Fechas de los concursos en formato ISO (YYYY-MM-DD)';
+
+/**
+ * Convierte a formato ISO las fechas guardadas como DD/MM/YYYY por las cargas anteriores a la normalización
+ * de la ingesta, para que los filtros por fecha, las series y las exportaciones las comparen correctamente.
+ * También convierte el respaldo de la última recarga, que rollbackReload puede volver a poner en uso.
+ * @param {Object} db - Conexión abierta (sqlite).
+ * @param {Object} context - Contexto de la migración.
+ * @param {Array<Object>} context.games - Juegos del registro.
+ */
+export async function up(db, { games }) {
+    for (const game of games) {
+        for (const table of [game.tabla, `${game.tabla}_backup`]) {
+            const exists = await db.get("SELECT name FROM sqlite_master WHERE type='table' AND name = ?", [table]);
+            if (!exists) {
+                continue;
+            }
+            await db.run(`
+                UPDATE ${table}
+                SET FECHA = substr(FECHA, 7, 4) || '-' || substr(FECHA, 4, 2) || '-' || substr(FECHA, 1, 2)
+                WHERE FECHA LIKE '__/__/____'
+            `);
+        }
+    }
+}
@@ -0,0 +1,12 @@
+export const description = 'Tabla SyncHistory con el historial de sincronizaciones';
+
+/**
+ * Crea la tabla 'SyncHistory' al abrir la base de datos, para que las rutas de la API (/sync/status, /ready,
+ * /metrics) solo tengan que leerla. Antes la creaba la primera sincronización o la primera consulta.
+ * @param {Object} db - Conexión abierta (sqlite).
+ * @param {Object} context - Contexto de la migración.
+ * @param {DBManager} context.dbManager - DBManager dueño de la conexión; define la tabla.
+ */
+export async function up(db, { dbManager }) {
+    await dbManager.createSyncHistoryTableIfNotExists();
+}
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import { httpLogger } from './logger.mjs';
+import { httpRequests, httpRequestDuration } from './metrics.mjs';
+
+// Identificadores de petición que se aceptan del cliente o del proxy (p. ej. el X-Request-Id del router de Heroku)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Ruta de Express que atendió la petición, con el juego como parámetro (p. ej. /juegos/:juego/concursos/:id)
+ * para que las métricas no tengan una serie por cada URL. Las peticiones que no llegaron a una ruta
+ * (404 o rechazadas antes) se agrupan en 'desconocida'.
+ * @param {express.Request} req - Petición ya atendida.
+ * @returns {string}
+ */
+export function routeLabel(req) {
+    if (!req.route) {
+        return 'desconocida';
+    }
+    const { juego } = req.params;
+    const base = juego ? req.baseUrl.replace(`/${encodeURIComponent(juego)}`, '/:juego') : req.baseUrl;
+    return `${base}${req.route.path}`;
+}
+
+/**
+ * Middleware que identifica, mide y registra cada petición.
+ * Asigna a req.id el X-Request-Id recibido o uno nuevo y lo devuelve en la respuesta; al terminar, cuenta la
+ * petición y su duración en las métricas y escribe una línea JSON en el log de peticiones. Las conexiones
+ * que se cierran antes de responder se registran con el estado 499.
+ * @returns {Function} - Middleware de Express.
+ */
+export function trackRequests() {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        const received = req.get('X-Request-Id');
+        req.id = received && REQUEST_ID_PATTERN.test(received) ? received : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+
+        let recorded = false;
+        const record = () => {
+            if (recorded) {
+                return;
+            }
+            recorded = true;
+
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            const route = routeLabel(req);
+            const status = res.writableFinished ? res.statusCode : 499;
+            httpRequests.inc({ method: req.method, route, status });
+            httpRequestDuration.observe({ method: req.method, route }, seconds);
+            httpLogger.http('peticion', {
+                idPeticion: req.id,
+                metodo: req.method,
+                url: req.originalUrl,
+                ruta: route,
+                estado: status,
+                duracionMs: Math.round(seconds * 1e6) / 1e3,
+                bytes: Number(res.get('Content-Length')) || 0
+            });
+        };
+        res.on('finish', record);
+        res.on('close', record);
+        next();
+    };
+}
@@ -0,0 +1,329 @@
+import { toISODate, toDayOfWeek } from './dateUtils.mjs';
+
+/**
+ * Validación declarativa de las peticiones.
+ *
+ * Cada ruta declara un esquema con las reglas de sus parámetros ('params'), de su query string ('query')
+ * y de su cuerpo ('body'). El middleware validate convierte los valores a sus tipos, aplica los valores
+ * por defecto y deja el resultado en req.valid; si algún campo es inválido responde 400 con el detalle
+ * de cada campo: { error, detalles: [{ campo, mensaje }] }.
+ *
+ * Los campos que el esquema no declara se rechazan. Las opciones de las reglas (min, max, length...)
+ * pueden ser funciones de la petición, p. ej. para usar el rango de números del juego en req.game.
+ */
+
+/**
+ * Crea el middleware que valida una petición contra un esquema.
+ * @param {Object} schema - Esquema de la petición.
+ * @param {Object} [schema.params] - Reglas de los parámetros de la ruta, por nombre.
+ * @param {Object} [schema.query] - Reglas de la query string, por nombre.
+ * @param {Object} [schema.body] - Reglas del cuerpo JSON, por nombre, o una sola regla para el cuerpo completo.
+ * @param {Function} [schema.check] - Validación entre campos: (valid, req) => [{ campo, mensaje }] o null.
+ * @returns {Function} - Middleware de Express.
+ */
+export function validate(schema) {
+    return (req, res, next) => {
+        const valid = {};
+        const detalles = [];
+
+        for (const source of ['params', 'query', 'body']) {
+            const definition = schema[source];
+            if (definition === undefined) {
+                continue;
+            }
+            if (isRule(definition)) {
+                const { value, error } = applyRule(definition, req[source], { req, source });
+                if (error) {
+                    detalles.push({ campo: source, mensaje: error });
+                }
+                valid[source] = value;
+                continue;
+            }
+            const { value, errors } = validateFields(definition, req[source] ?? {}, { req, source }, source);
+            valid[source] = value;
+            detalles.push(...errors);
+        }
+
+        if (detalles.length === 0 && schema.check) {
+            detalles.push(...(schema.check(valid, req) || []));
+        }
+
+        if (detalles.length > 0) {
+            return res.status(400).json({ error: 'Solicitud inválida', detalles });
+        }
+
+        req.valid = valid;
+        next();
+    };
+}
+
+// Mensajes de los errores de lectura del cuerpo (express.json, express.raw), por su tipo
+const BODY_ERRORS = {
+    'entity.parse.failed': (err) => `El cuerpo no es JSON válido: ${err.message}`,
+    'entity.too.large': (err) => `El cuerpo excede el tamaño máximo de ${err.limit} bytes`,
+    'encoding.unsupported': (err) => `Codificación del cuerpo no soportada: ${err.encoding}`,
+    'charset.unsupported': (err) => `Juego de caracteres del cuerpo no soportado: ${err.charset}`,
+    'request.size.invalid': () => 'El tamaño del cuerpo no coincide con Content-Length',
+    'request.aborted': () => 'La petición se interrumpió antes de recibir el cuerpo'
+};
+
+/**
+ * Middleware de errores para los cuerpos que express.json o express.raw no pudieron leer (JSON mal formado,
+ * cuerpo demasiado grande...). Responde con el mismo formato que validate, { error, detalles: [{ campo, mensaje }] },
+ * y el estado que indica el parser (400, 413 o 415); los demás errores siguen al siguiente middleware.
+ * @param {Error} err - Error de la petición.
+ * @param {express.Request} req - Petición.
+ * @param {express.Response} res - Respuesta.
+ * @param {Function} next - Siguiente middleware.
+ */
+export function handleBodyErrors(err, req, res, next) {
+    const status = err.status ?? err.statusCode;
+    if (typeof err.type !== 'string' || !(status >= 400 && status < 500)) {
+        return next(err);
+    }
+    const mensaje = BODY_ERRORS[err.type]?.(err) ?? err.message;
+    res.status(status).json({ error: 'Solicitud inválida', detalles: [{ campo: 'body', mensaje }] });
+}
+
+/**
+ * Reglas de validación. Cada regla acepta, además de sus opciones propias:
+ * - required: el campo es obligatorio.
+ * - default: valor usado cuando el campo no viene (puede ser una función de la petición).
+ */
+export const rules = {
+    /**
+     * Número entero. En la query string se acepta el texto del número; en el cuerpo debe ser un número JSON.
+     * @param {Object} options - { min, max }
+     */
+    integer({ min, max, ...options } = {}) {
+        return rule((value, { req, source }) => {
+            const number = source === 'body' || typeof value === 'number'
+                ? value
+                : (/^-?\d+$/.test(String(value).trim()) ? Number(value) : NaN);
+            if (!Number.isInteger(number)) {
+                return { error: 'Debe ser un número entero' };
+            }
+            return checkRange(number, resolve(min, req), resolve(max, req));
+        }, options);
+    },
+
+    /**
+     * Valor booleano: true/false en el cuerpo, 'true'/'false' en la query string.
+     */
+    boolean(options = {}) {
+        return rule((value, { source }) => {
+            if (typeof value === 'boolean') {
+                return { value };
+            }
+            if (source !== 'body' && (value === 'true' || value === 'false')) {
+                return { value: value === 'true' };
+            }
+            return { error: "Debe ser 'true' o 'false'" };
+        }, options);
+    },
+
+    /**
+     * Uno de los valores permitidos.
+     * @param {Array|Function} values - Valores permitidos.
+     */
+    oneOf(values, options = {}) {
+        return rule((value, { req }) => {
+            const allowed = resolve(values, req);
+            if (!allowed.includes(value)) {
+                return { error: `Debe ser uno de: ${allowed.join(', ')}` };
+            }
+            return { value };
+        }, options);
+    },
+
+    /**
+     * Fecha en formato YYYY-MM-DD o DD/MM/YYYY; se convierte a ISO.
+     */
+    date(options = {}) {
+        return rule((value) => {
+            const date = typeof value === 'string' ? toISODate(value) : null;
+            if (!date) {
+                return { error: 'Fecha inválida: use YYYY-MM-DD o DD/MM/YYYY' };
+            }
+            return { value: date };
+        }, options);
+    },
+
+    /**
+     * Día de la semana: 0-6 (0 = domingo) o el nombre del día.
+     */
+    dayOfWeek(options = {}) {
+        return rule((value) => {
+            const day = toDayOfWeek(value);
+            if (day === null) {
+                return { error: 'Día inválido: use 0-6 (0 = domingo) o el nombre del día' };
+            }
+            return { value: day };
+        }, options);
+    },
+
+    /**
+     * Lista de valores que cumplen una regla. En la query string los valores se separan por comas;
+     * en el cuerpo debe ser un arreglo.
+     * @param {Object} item - Regla de cada elemento.
+     * @param {Object} options - { minItems, maxItems, length, unique }
+     */
+    list(item, { minItems, maxItems, length, unique = false, ...options } = {}) {
+        return rule((value, context) => {
+            const { req, source } = context;
+            let items = value;
+            if (source !== 'body' && typeof value === 'string') {
+                items = value.split(',');
+            }
+            if (!Array.isArray(items)) {
+                return { error: source === 'body' ? 'Debe ser un arreglo' : 'Debe ser una lista separada por comas' };
+            }
+
+            const exact = resolve(length, req);
+            if (exact !== undefined && items.length !== exact) {
+                return { error: `Debe tener ${exact} elementos` };
+            }
+            const range = checkRange(items.length, resolve(minItems, req), resolve(maxItems, req));
+            if (range.error) {
+                return { error: `Número de elementos inválido: ${range.error.toLowerCase()}` };
+            }
+
+            const values = [];
+            for (const [i, element] of items.entries()) {
+                const { value: parsed, error } = applyRule(item, element, context);
+                if (error) {
+                    return { error: `Elemento ${i + 1}: ${error}` };
+                }
+                values.push(parsed);
+            }
+            if (resolve(unique, req) && new Set(values).size !== values.length) {
+                return { error: 'No puede tener valores repetidos' };
+            }
+            return { value: values };
+        }, options);
+    },
+
+    /**
+     * Objeto con campos propios, validados con sus reglas (solo en el cuerpo).
+     * @param {Object} fields - Reglas de los campos, por nombre.
+     */
+    object(fields, options = {}) {
+        return rule((value, context) => {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                return { error: 'Debe ser un objeto' };
+            }
+            const { value: parsed, errors } = validateFields(fields, value, context);
+            if (errors.length > 0) {
+                return { error: errors.map(({ campo, mensaje }) => `${campo}: ${mensaje}`).join('; ') };
+            }
+            return { value: parsed };
+        }, options);
+    },
+
+    /**
+     * Valor que se valida con una función propia.
+     * @param {Function} check - (value, req) => { value } o { error }.
+     */
+    custom(check, options = {}) {
+        return rule((value, { req }) => check(value, req), options);
+    }
+};
+
+/**
+ * Reglas de los filtros de fecha de la serie de concursos (ver DBManager.buildDrawFilters).
+ * 'dia' y 'anio' aceptan varios valores (p. ej. dia=miercoles,viernes).
+ */
+export const drawFilterRules = {
+    desde: rules.date(),
+    hasta: rules.date(),
+    dia: rules.list(rules.dayOfWeek(), { minItems: 1 }),
+    anio: rules.list(rules.integer({ min: 1900, max: 9999 }), { minItems: 1 })
+};
+
+/**
+ * Convierte los filtros ya validados al formato de DBManager.buildDrawFilters.
+ * @param {Object} values - Valores validados (query o body).
+ * @returns {Object} - { desde, hasta, dias, anios }
+ */
+export function toDrawFilters({ desde, hasta, dia, anio }) {
+    return { desde, hasta, dias: dia, anios: anio };
+}
+
+/**
+ * Validación entre campos de los filtros de fecha: 'desde' no puede ser posterior a 'hasta'.
+ * @param {string} source - Origen de los filtros ('query' o 'body').
+ * @returns {Function} - Función check para el esquema.
+ */
+export function checkDateRange(source) {
+    return (valid) => {
+        const { desde, hasta } = valid[source];
+        return desde && hasta && desde > hasta
+            ? [{ campo: `${source}.desde`, mensaje: "La fecha 'desde' no puede ser posterior a 'hasta'" }]
+            : null;
+    };
+}
+
+// Crea una regla a partir de su función de conversión y las opciones comunes
+function rule(parse, { required = false, default: defaultValue } = {}) {
+    return { parse, required, default: defaultValue, isRule: true };
+}
+
+function isRule(value) {
+    return Boolean(value && value.isRule);
+}
+
+// Aplica una regla a un valor, resolviendo los campos ausentes con required y default
+function applyRule(definition, value, context) {
+    if (value === undefined || value === null || value === '') {
+        if (definition.required) {
+            return { error: 'Es obligatorio' };
+        }
+        return { value: resolve(definition.default, context.req) };
+    }
+    return definition.parse(value, context);
+}
+
+// Valida un conjunto de campos; los campos no declarados se rechazan
+function validateFields(fields, input, context, prefix) {
+    const value = {};
+    const errors = [];
+    const name = (field) => (prefix ? `${prefix}.${field}` : field);
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { value, errors: [{ campo: prefix, mensaje: 'Debe ser un objeto' }] };
+    }
+
+    for (const field of Object.keys(input)) {
+        if (!Object.hasOwn(fields, field)) {
+            errors.push({ campo: name(field), mensaje: 'Campo no permitido' });
+        }
+    }
+    for (const [field, definition] of Object.entries(fields)) {
+        const result = applyRule(definition, input[field], context);
+        if (result.error) {
+            errors.push({ campo: name(field), mensaje: result.error });
+        } else if (result.value !== undefined) {
+            value[field] = result.value;
+        }
+    }
+
+    return { value, errors };
+}
+
+function checkRange(value, min, max) {
+    if (min !== undefined && max !== undefined && (value < min || value > max)) {
+        return { error: `Debe estar entre ${min} y ${max}` };
+    }
+    if (min !== undefined && value < min) {
+        return { error: `Debe ser mayor o igual a ${min}` };
+    }
+    if (max !== undefined && value > max) {
+        return { error: `Debe ser menor o igual a ${max}` };
+    }
+    return { value };
+}
+
+// Las opciones de las reglas pueden depender de la petición
+function resolve(option, req) {
+    return typeof option === 'function' ? option(req) : option;
+}
@@ -0,0 +1,57 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import BacktestEngine from '../src/scripts/BacktestEngine.mjs';
+import TicketChecker from '../src/scripts/TicketChecker.mjs';
+import { mainColumns } from '../src/scripts/GameRegistry.mjs';
+import { loadConfig, loadGames, createTempDirectory, createTempDatabase, readFixture, writeCsv } from './helpers.mjs';
+
+const games = loadGames();
+const melate = games.get('melate');
+const [latest, previous] = readFixture(melate.fileName);
+
+// Concurso anterior a la redenominación de 1993, con la bolsa en viejos pesos
+const oldDraw = { ...previous, CONCURSO: 500, BOLSA: 12000000000, FECHA: '18/10/1992' };
+
+describe('BacktestEngine', () => {
+    let directory;
+    let dbManager;
+    let ticketChecker;
+
+    before(async () => {
+        directory = createTempDirectory();
+        dbManager = createTempDatabase(directory, games);
+        await dbManager.connect();
+        await dbManager.createTableIfNotExists(melate);
+        await dbManager.insertNewRecordsOnly(melate, writeCsv(path.join(directory, 'melate.csv'), [latest, oldDraw]));
+        ticketChecker = new TicketChecker(dbManager);
+    });
+
+    after(async () => {
+        await dbManager.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('valora la bolsa de los concursos anteriores a 1993 en pesos actuales', async () => {
+        const { redenominacion } = loadConfig().estadisticas.bolsa;
+        const engine = new BacktestEngine(dbManager, ticketChecker, { redenominacion });
+        const boletos = [mainColumns(melate).map((column) => oldDraw[column])];
+
+        const report = await engine.run(melate, { tipo: 'fijos', boletos });
+        const detalle = report.detalle.find(({ concurso }) => concurso === oldDraw.CONCURSO);
+
+        assert.equal(detalle.premios.Primera, 1);
+        assert.equal(detalle.ganancia, oldDraw.BOLSA / redenominacion.divisor);
+    });
+
+    it('sin redenominación reporta la bolsa registrada', async () => {
+        const engine = new BacktestEngine(dbManager, ticketChecker);
+        const boletos = [mainColumns(melate).map((column) => oldDraw[column])];
+
+        const report = await engine.run(melate, { tipo: 'fijos', boletos });
+        const detalle = report.detalle.find(({ concurso }) => concurso === oldDraw.CONCURSO);
+
+        assert.equal(detalle.ganancia, oldDraw.BOLSA);
+    });
+});
@@ -0,0 +1,252 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { CsvValidationError } from '../src/scripts/CsvValidator.mjs';
+import { mainColumns, numberColumns } from '../src/scripts/GameRegistry.mjs';
+import { FIXTURES_DIRECTORY, loadGames, createTempDirectory, createTempDatabase, readFixture, writeCsv } from './helpers.mjs';
+
+const games = loadGames();
+const melate = games.get('melate');
+const fixturePath = path.join(FIXTURES_DIRECTORY, melate.fileName);
+const fixture = readFixture(melate.fileName);
+
+// Combinaciones de k elementos de una lista ordenada
+function combinations(numbers, k, start = 0) {
+    if (k === 0) {
+        return [[]];
+    }
+    const result = [];
+    for (let i = start; i <= numbers.length - k; i++) {
+        for (const rest of combinations(numbers, k - 1, i + 1)) {
+            result.push([numbers[i], ...rest]);
+        }
+    }
+    return result;
+}
+
+// Frecuencia de cada combinación de k números naturales en las filas, calculada sin la base de datos
+function expectedCombinations(rows, k) {
+    const frequencies = new Map();
+    for (const row of rows) {
+        const numbers = mainColumns(melate).map((column) => row[column]).sort((a, b) => a - b);
+        for (const combination of combinations(numbers, k)) {
+            const key = combination.join(',');
+            frequencies.set(key, (frequencies.get(key) || 0) + 1);
+        }
+    }
+    return frequencies;
+}
+
+describe('DBManager', () => {
+    let directory;
+    let dbManager;
+
+    beforeEach(async () => {
+        directory = createTempDirectory();
+        dbManager = createTempDatabase(directory, games);
+        await dbManager.connect();
+        await dbManager.createTableIfNotExists(melate);
+    });
+
+    afterEach(async () => {
+        await dbManager.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('insertNewRecordsOnly', () => {
+        it('inserta todos los concursos del CSV y guarda las fechas en formato ISO', async () => {
+            const summary = await dbManager.insertNewRecordsOnly(melate, fixturePath);
+
+            assert.equal(summary.filas, fixture.length);
+            assert.equal(summary.insertados, fixture.length);
+            assert.deepEqual(summary.rechazados, []);
+            assert.equal(await dbManager.countConcursos(melate), fixture.length);
+
+            const [latest] = fixture;
+            const stored = await dbManager.getConcurso(melate, latest.CONCURSO);
+            assert.equal(stored.R1, latest.R1);
+            assert.equal(stored.R7, latest.R7);
+            assert.equal(stored.FECHA, latest.FECHA.split('/').reverse().join('-'));
+        });
+
+        it('no duplica los concursos ya almacenados', async () => {
+            await dbManager.insertNewRecordsOnly(melate, fixturePath);
+            const summary = await dbManager.insertNewRecordsOnly(melate, fixturePath);
+
+            assert.equal(summary.insertados, 0);
+            assert.equal(summary.sinCambios, fixture.length);
+            assert.equal(await dbManager.countConcursos(melate), fixture.length);
+        });
+
+        it('aplica y audita las correcciones de concursos existentes', async () => {
+            await dbManager.insertNewRecordsOnly(melate, fixturePath);
+            const [latest, ...rest] = fixture;
+            const corrected = { ...latest, BOLSA: latest.BOLSA + 1000 };
+            const summary = await dbManager.insertNewRecordsOnly(melate, writeCsv(path.join(directory, 'corregido.csv'), [corrected, ...rest]));
+
+            assert.equal(summary.actualizados, 1);
+            assert.equal((await dbManager.getConcurso(melate, latest.CONCURSO)).BOLSA, corrected.BOLSA);
+            const correction = await dbManager.get('SELECT CONCURSO, CAMPOS, COUNT(*) AS total FROM Correcciones WHERE JUEGO = ?', [melate.id]);
+            assert.deepEqual({ ...correction }, { CONCURSO: latest.CONCURSO, CAMPOS: 'BOLSA', total: 1 });
+        });
+
+        it('omite las filas inválidas en modo skipInvalid', async () => {
+            const [latest, ...rest] = fixture;
+            const filePath = writeCsv(path.join(directory, 'invalido.csv'), [{ ...latest, R2: 99 }, ...rest]);
+            const summary = await dbManager.insertNewRecordsOnly(melate, filePath);
+
+            assert.equal(summary.insertados, fixture.length - 1);
+            assert.equal(summary.rechazados.length, 1);
+            assert.equal(Number(summary.rechazados[0].concurso), latest.CONCURSO);
+            assert.equal(await dbManager.getConcurso(melate, latest.CONCURSO), undefined);
+        });
+
+        it('no inserta nada si alguna fila es inválida en modo abortOnInvalid', async () => {
+            const [latest, ...rest] = fixture;
+            const filePath = writeCsv(path.join(directory, 'invalido.csv'), [{ ...latest, FECHA: '31/02/2024' }, ...rest]);
+
+            await assert.rejects(
+                dbManager.insertNewRecordsOnly(melate, filePath, { validationMode: 'abortOnInvalid' }),
+                (error) => error instanceof CsvValidationError && error.rechazados.length === 1
+            );
+            assert.equal(await dbManager.countConcursos(melate), 0);
+        });
+    });
+
+    describe('migraciones', () => {
+        it('convierten a formato ISO las fechas de cargas anteriores', async () => {
+            await dbManager.insertNewRecordsOnly(melate, fixturePath);
+            const [latest] = fixture;
+            await dbManager.executeQuery(`UPDATE ${melate.tabla} SET FECHA = ? WHERE CONCURSO = ?`, [latest.FECHA, latest.CONCURSO]);
+            await dbManager.executeQuery('DELETE FROM schema_version WHERE VERSION = 6');
+
+            const [migration] = await dbManager.migrate();
+            assert.equal(migration.version, 6);
+            assert.equal((await dbManager.getConcurso(melate, latest.CONCURSO)).FECHA, latest.FECHA.split('/').reverse().join('-'));
+        });
+
+        it('crean la tabla SyncHistory al conectar', async () => {
+            assert.equal(await dbManager.syncHistoryExists(), true);
+            assert.deepEqual(await dbManager.getSyncHistory(), []);
+        });
+    });
+
+    describe('reloadAllData', () => {
+        it('reemplaza la tabla con el CSV y conserva la anterior como respaldo', async () => {
+            await dbManager.insertNewRecordsOnly(melate, fixturePath);
+            const subset = fixture.slice(0, 5);
+            const summary = await dbManager.reloadAllData(melate, writeCsv(path.join(directory, 'recarga.csv'), subset));
+
+            assert.equal(summary.insertados, subset.length);
+            assert.equal(summary.anteriores, fixture.length);
+            assert.equal(await dbManager.countConcursos(melate), subset.length);
+            assert.ok(await dbManager.tableExists(melate, `${melate.tabla}_backup`));
+            assert.equal(await dbManager.rollbackReload(melate), fixture.length);
+            assert.equal(await dbManager.countConcursos(melate), fixture.length);
+        });
+
+        it('mantiene los índices de la tabla en uso y del respaldo', async () => {
+            const backup = `${melate.tabla}_backup`;
+            const indexes = async (table) => (await dbManager.db.all(
+                "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name LIKE 'idx_%' ORDER BY name", [table]
+            )).map(({ name }) => name);
+            const expected = (table) => [...numberColumns(melate), 'FECHA'].map((column) => `idx_${table}_${column}`).sort();
+
+            await dbManager.insertNewRecordsOnly(melate, fixturePath);
+            await dbManager.reloadAllData(melate, writeCsv(path.join(directory, 'recarga.csv'), fixture.slice(0, 5)));
+            assert.deepEqual(await indexes(melate.tabla), expected(melate.tabla));
+            assert.deepEqual(await indexes(backup), expected(backup));
+
+            await dbManager.rollbackReload(melate);
+            assert.deepEqual(await indexes(melate.tabla), expected(melate.tabla));
+            assert.deepEqual(await indexes(backup), expected(backup));
+        });
+
+        it('recalcula las combinaciones precalculadas', async () => {
+            await dbManager.insertNewRecordsOnly(melate, fixturePath);
+            const subset = fixture.slice(0, 3);
+            await dbManager.reloadAllData(melate, writeCsv(path.join(directory, 'recarga.csv'), subset));
+
+            const combinaciones = await dbManager.getFrequentCombinations(melate, 1, { limit: null });
+            const total = combinaciones.reduce((sum, { frequency }) => sum + frequency, 0);
+            assert.equal(total, subset.length * melate.bolas);
+        });
+
+        it('deja intacta la tabla en uso si el encabezado del CSV no es el esperado', async () => {
+            await dbManager.insertNewRecordsOnly(melate, fixturePath);
+            const filePath = path.join(directory, 'encabezado.csv');
+            fs.writeFileSync(filePath, 'SORTEO,F1,F2\n1,2,3\n');
+
+            await assert.rejects(dbManager.reloadAllData(melate, filePath), CsvValidationError);
+            assert.equal(await dbManager.countConcursos(melate), fixture.length);
+            assert.equal(await dbManager.tableExists(melate, `${melate.tabla}_staging`), false);
+        });
+    });
+
+    describe('getFrequentCombinations', () => {
+        beforeEach(async () => {
+            await dbManager.insertNewRecordsOnly(melate, fixturePath);
+        });
+
+        for (const k of [1, 2, 3]) {
+            it(`cuenta las combinaciones de ${k} números como el cálculo directo`, async () => {
+                const expected = expectedCombinations(fixture, k);
+                const combinaciones = await dbManager.getFrequentCombinations(melate, k, { limit: null });
+
+                assert.equal(combinaciones.length, expected.size);
+                for (const { combination, frequency } of combinaciones) {
+                    assert.equal(frequency, expected.get(combination), combination);
+                }
+            });
+        }
+
+        it('ordena por frecuencia y respeta el límite', async () => {
+            const desc = await dbManager.getFrequentCombinations(melate, 1, { limit: 5 });
+            const asc = await dbManager.getFrequentCombinations(melate, 1, { limit: 5, order: 'asc' });
+
+            assert.equal(desc.length, 5);
+            assert.deepEqual(desc.map(({ frequency }) => frequency), desc.map(({ frequency }) => frequency).sort((a, b) => b - a));
+            assert.equal(desc[0].frequency, Math.max(...expectedCombinations(fixture, 1).values()));
+            assert.equal(asc[0].frequency, Math.min(...expectedCombinations(fixture, 1).values()));
+        });
+
+        it('cuenta la bola adicional solo si se solicita', async () => {
+            const sinAdicional = await dbManager.getFrequentCombinations(melate, 1, { limit: null });
+            const conAdicional = await dbManager.getFrequentCombinations(melate, 1, { limit: null, includeAdditional: true });
+            const total = (rows) => rows.reduce((sum, { frequency }) => sum + frequency, 0);
+
+            assert.equal(total(conAdicional) - total(sinAdicional), fixture.length);
+        });
+    });
+
+    describe('findCombination', () => {
+        beforeEach(async () => {
+            await dbManager.insertNewRecordsOnly(melate, fixturePath);
+        });
+
+        it('cuenta los concursos que contienen todos los números', async () => {
+            const [latest] = fixture;
+            const numeros = [latest.R1, latest.R4];
+            const expected = fixture.filter((row) => numeros.every((number) => mainColumns(melate).some((column) => row[column] === number))).length;
+
+            assert.ok(expected >= 1);
+            assert.equal(await dbManager.findCombination(melate, numeros), expected);
+        });
+
+        it('encuentra un resultado completo', async () => {
+            const [latest] = fixture;
+            const numeros = mainColumns(melate).map((column) => latest[column]).reverse();
+
+            assert.equal(await dbManager.findCombination(melate, numeros), 1);
+        });
+
+        it('devuelve 0 si la combinación nunca salió', async () => {
+            const drawn = new Set(fixture.flatMap((row) => mainColumns(melate).map((column) => row[column])));
+            const never = Array.from({ length: melate.maximo }, (_, i) => i + 1).filter((number) => !drawn.has(number));
+
+            assert.ok(never.length > 0);
+            assert.equal(await dbManager.findCombination(melate, [never[0]]), 0);
+        });
+    });
+});
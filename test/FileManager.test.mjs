@@ -0,0 +1,206 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+import FileManager from '../src/scripts/FileManager.mjs';
+import { HttpSource, FixtureSource, LocalSource, createDataSource } from '../src/scripts/DataSource.mjs';
+import { FIXTURES_DIRECTORY, createTempDirectory } from './helpers.mjs';
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Servidor HTTP local que responde según el guion de cada prueba y registra las peticiones recibidas
+function createStub() {
+    const stub = {
+        requests: [],
+        responses: [],
+        content: 'CONCURSO,R1\n1,2\n',
+        etag: '"v1"'
+    };
+    stub.server = http.createServer((req, res) => {
+        stub.requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] ?? null });
+        const scripted = stub.responses.shift();
+        if (scripted) {
+            return scripted(req, res);
+        }
+        if (req.headers['if-none-match'] === stub.etag) {
+            return res.writeHead(304).end();
+        }
+        res.writeHead(200, { ETag: stub.etag, 'Content-Length': Buffer.byteLength(stub.content) }).end(stub.content);
+    });
+    return stub;
+}
+
+describe('FileManager', () => {
+    let stub;
+    let game;
+
+    before(async () => {
+        stub = createStub();
+        await new Promise((resolve) => stub.server.listen(0, '127.0.0.1', resolve));
+        game = { id: 'prueba', nombre: 'Prueba', fileName: 'prueba.csv', url: `http://127.0.0.1:${stub.server.address().port}/prueba.csv` };
+    });
+
+    after(async () => {
+        await new Promise((resolve) => stub.server.close(resolve));
+    });
+
+    let directory;
+    let fileManager;
+
+    beforeEach(() => {
+        directory = createTempDirectory();
+        stub.requests = [];
+        stub.responses = [];
+        stub.content = 'CONCURSO,R1\n1,2\n';
+        stub.etag = '"v1"';
+        fileManager = new FileManager({
+            source: new HttpSource(),
+            retries: 2,
+            retryDelay: 5,
+            timeout: 1000,
+            archiveDirectory: path.join(directory, 'archivo')
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('downloadFile', () => {
+        it('guarda el archivo, su SHA-256 y los metadatos de la descarga', async () => {
+            const result = await fileManager.downloadFile(game, directory);
+
+            assert.equal(result.filePath, path.join(directory, game.fileName));
+            assert.equal(fs.readFileSync(result.filePath, 'utf8'), stub.content);
+            assert.equal(result.sha256, sha256(stub.content));
+            assert.equal(result.modificado, true);
+
+            const metadata = JSON.parse(fs.readFileSync(`${result.filePath}.meta.json`, 'utf8'));
+            assert.equal(metadata.origen, game.url);
+            assert.equal(metadata.etag, stub.etag);
+            assert.equal(metadata.sha256, result.sha256);
+            assert.deepEqual(fs.readdirSync(directory).filter((name) => name.endsWith('.tmp')), []);
+        });
+
+        it('pide el archivo de forma condicional y conserva la copia local si no cambió', async () => {
+            const first = await fileManager.downloadFile(game, directory);
+            const second = await fileManager.downloadFile(game, directory);
+
+            assert.deepEqual(stub.requests.map(({ ifNoneMatch }) => ifNoneMatch), [null, stub.etag]);
+            assert.equal(second.modificado, false);
+            assert.equal(second.sha256, first.sha256);
+            assert.equal(second.archivo, null);
+        });
+
+        it('archiva cada versión distinta del contenido', async () => {
+            const first = await fileManager.downloadFile(game, directory);
+            stub.content = 'CONCURSO,R1\n1,2\n2,3\n';
+            stub.etag = '"v2"';
+            const second = await fileManager.downloadFile(game, directory);
+
+            assert.equal(second.modificado, true);
+            assert.notEqual(second.sha256, first.sha256);
+            assert.deepEqual(fs.readdirSync(path.join(directory, 'archivo')).sort(), [first.archivo, second.archivo].map((file) => path.basename(file)).sort());
+            assert.equal(fs.readFileSync(second.archivo, 'utf8'), stub.content);
+        });
+
+        it('reintenta los errores temporales del servidor', async () => {
+            stub.responses.push((req, res) => res.writeHead(503).end(), (req, res) => res.writeHead(500).end());
+            const result = await fileManager.downloadFile(game, directory);
+
+            assert.equal(stub.requests.length, 3);
+            assert.equal(result.sha256, sha256(stub.content));
+        });
+
+        it('guarda descomprimido el contenido enviado con gzip', async () => {
+            stub.responses.push((req, res) => {
+                const compressed = zlib.gzipSync(stub.content);
+                res.writeHead(200, { ETag: stub.etag, 'Content-Encoding': 'gzip', 'Content-Length': compressed.length }).end(compressed);
+            });
+            const result = await fileManager.downloadFile(game, directory);
+
+            assert.equal(stub.requests.length, 1);
+            assert.equal(fs.readFileSync(result.filePath, 'utf8'), stub.content);
+            assert.equal(result.sha256, sha256(stub.content));
+        });
+
+        it('no reintenta los errores definitivos', async () => {
+            stub.responses.push((req, res) => res.writeHead(404).end());
+
+            await assert.rejects(fileManager.downloadFile(game, directory), /404/);
+            assert.equal(stub.requests.length, 1);
+        });
+
+        it('descarta las descargas incompletas sin reemplazar el archivo anterior', async () => {
+            await fileManager.downloadFile(game, directory);
+            const truncated = (req, res) => {
+                res.writeHead(200, { 'Content-Length': 1000 });
+                res.write('CONCURSO');
+                res.destroy();
+            };
+            stub.etag = '"v2"';
+            stub.responses.push(truncated, truncated, truncated);
+
+            await assert.rejects(fileManager.downloadFile(game, directory));
+            assert.equal(stub.requests.length, 4);
+            assert.equal(fs.readFileSync(path.join(directory, game.fileName), 'utf8'), stub.content);
+            assert.deepEqual(fs.readdirSync(directory).filter((name) => name.endsWith('.tmp')), []);
+        });
+
+        it('agota el tiempo de espera de un servidor que no responde', async () => {
+            fileManager.retries = 0;
+            fileManager.timeout = 50;
+            stub.responses.push((req, res) => setTimeout(() => res.writeHead(200).end(stub.content), 500));
+
+            await assert.rejects(fileManager.downloadFile(game, directory), /abort/i);
+        });
+    });
+
+    describe('fuente remota', () => {
+        it('descarga de URL http aunque tenga un agente HTTPS configurado', async () => {
+            fileManager.source = createDataSource({ tipo: 'remota' }, { caFile: null, verificarCertificado: true });
+            const result = await fileManager.downloadFile(game, directory);
+
+            assert.equal(result.sha256, sha256(stub.content));
+        });
+    });
+
+    describe('fuentes locales', () => {
+        it('lee el CSV de un juego desde un directorio local', async () => {
+            fileManager.source = new LocalSource({ ruta: FIXTURES_DIRECTORY });
+            const fixture = { fileName: 'melate.csv', nombre: 'Melate' };
+            const first = await fileManager.downloadFile(fixture, directory);
+            const second = await fileManager.downloadFile(fixture, directory);
+
+            assert.equal(first.sha256, sha256(fs.readFileSync(path.join(FIXTURES_DIRECTORY, 'melate.csv'))));
+            assert.equal(second.modificado, false);
+        });
+
+        it('descarga el CSV del servidor de fixtures', async () => {
+            fileManager.source = new FixtureSource({ ruta: FIXTURES_DIRECTORY });
+            const fixture = { fileName: 'tris.csv', nombre: 'Tris' };
+            try {
+                const first = await fileManager.downloadFile(fixture, directory);
+                const second = await fileManager.downloadFile(fixture, directory);
+
+                assert.equal(first.sha256, sha256(fs.readFileSync(path.join(FIXTURES_DIRECTORY, 'tris.csv'))));
+                assert.equal(second.modificado, false);
+                await assert.rejects(fileManager.downloadFile({ fileName: 'no-existe.csv', nombre: 'Ninguno' }, directory), /404/);
+            } finally {
+                await fileManager.close();
+            }
+        });
+    });
+
+    describe('hashFile', () => {
+        it('calcula el SHA-256 de un archivo', async () => {
+            const filePath = path.join(directory, 'archivo.csv');
+            fs.writeFileSync(filePath, stub.content);
+
+            assert.equal(await fileManager.hashFile(filePath), sha256(stub.content));
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import FileManager from '../src/scripts/FileManager.mjs';
+import SyncManager from '../src/scripts/SyncManager.mjs';
+import { LocalSource } from '../src/scripts/DataSource.mjs';
+import { FIXTURES_DIRECTORY, loadGames, createTempDirectory, createTempDatabase } from './helpers.mjs';
+
+const games = loadGames();
+const melate = games.get('melate');
+const tris = games.get('tris');
+
+describe('SyncManager', () => {
+    let directory;
+    let syncManager;
+
+    beforeEach(() => {
+        directory = createTempDirectory();
+        syncManager = new SyncManager({
+            dbManager: createTempDatabase(directory, games),
+            fileManager: new FileManager({ source: new LocalSource({ ruta: FIXTURES_DIRECTORY }) }),
+            saveDirectory: path.join(directory, 'data'),
+            operationMode: 'insertNewOnly'
+        });
+    });
+
+    afterEach(async () => {
+        await syncManager.shutdown();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Sincronizaciones exitosas de cada juego según SyncHistory
+    async function successfulSyncs() {
+        const { dbManager } = syncManager;
+        await dbManager.connect();
+        try {
+            const rows = await dbManager.getSyncHistory({ limit: 100 });
+            return rows.filter(({ ESTADO }) => ESTADO === 'exitoso').map(({ JUEGO }) => JUEGO).sort();
+        } finally {
+            await dbManager.close();
+        }
+    }
+
+    describe('sincronizaciones programadas', () => {
+        it('sincronizan uno tras otro los juegos programados a la misma hora', async () => {
+            // Un horario que no llega durante la prueba; las tareas se disparan a mano, todas en el mismo tick
+            syncManager.start([melate, tris], { horario: '0 0 1 1 *' });
+            syncManager.tasks.forEach((task) => task.now());
+            await syncManager.queue;
+
+            assert.deepEqual(await successfulSyncs(), ['melate', 'tris']);
+        });
+
+        it('esperan a que termine una sincronización manual en curso', async () => {
+            const manual = syncManager.runSync(melate, { filePath: path.join(FIXTURES_DIRECTORY, melate.fileName) });
+            const scheduled = syncManager.enqueue(tris);
+            await manual;
+            await scheduled;
+
+            assert.deepEqual(await successfulSyncs(), ['melate', 'tris']);
+        });
+
+        it('no encolan dos veces un juego que ya espera su turno', async () => {
+            const runs = [];
+            const runSync = syncManager.runSync.bind(syncManager);
+            syncManager.runSync = (game, options) => {
+                runs.push(game.id);
+                return runSync(game, options);
+            };
+            syncManager.enqueue(tris);
+            await syncManager.enqueue(tris);
+
+            assert.deepEqual(runs, ['tris']);
+        });
+    });
+});
@@ -0,0 +1,445 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import ExcelJS from 'exceljs';
+import { createApp } from '../src/scripts/app.mjs';
+import DBManager from '../src/scripts/DBManager.mjs';
+import FileManager from '../src/scripts/FileManager.mjs';
+import SyncManager from '../src/scripts/SyncManager.mjs';
+import { LocalSource } from '../src/scripts/DataSource.mjs';
+import { drawColumns, mainColumns } from '../src/scripts/GameRegistry.mjs';
+import { FIXTURES_DIRECTORY, loadConfig, loadGames, createTempDirectory, createTempDatabase, readFixture } from './helpers.mjs';
+
+const games = loadGames();
+const melate = games.get('melate');
+const tris = games.get('tris');
+const fixture = readFixture(melate.fileName);
+const [latest] = fixture;
+
+// Lee el cuerpo completo de una respuesta binaria (p. ej. XLSX) como Buffer
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('API', () => {
+    let directory;
+    let dbManager;
+    let app;
+
+    before(async () => {
+        directory = createTempDirectory();
+        const config = { ...loadConfig(), saveDirectory: path.join(directory, 'data') };
+
+        // La API y las sincronizaciones usan conexiones distintas sobre la misma base de datos, como en index.mjs
+        dbManager = createTempDatabase(directory, games);
+        await dbManager.connect();
+        for (const game of [melate, tris]) {
+            await dbManager.createTableIfNotExists(game);
+            await dbManager.insertNewRecordsOnly(game, path.join(FIXTURES_DIRECTORY, game.fileName));
+        }
+        const syncManager = new SyncManager({
+            dbManager: new DBManager(dbManager.databasePath, { games: games.list() }),
+            // Las sincronizaciones de las rutas de administración leen los CSV de fixtures
+            fileManager: new FileManager({ source: new LocalSource({ ruta: FIXTURES_DIRECTORY }) }),
+            saveDirectory: config.saveDirectory,
+            operationMode: 'insertNewOnly'
+        });
+        app = createApp({ config, dbManager, syncManager });
+    });
+
+    after(async () => {
+        await dbManager.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('GET /juegos', () => {
+        it('lista los juegos configurados', async () => {
+            const res = await request(app).get('/juegos').expect(200);
+
+            assert.deepEqual(res.body.map(({ id }) => id), games.list().map(({ id }) => id));
+        });
+    });
+
+    describe('GET /concursos', () => {
+        it('pagina los concursos del más reciente al más antiguo', async () => {
+            const res = await request(app).get('/juegos/melate/concursos?limit=5').expect(200);
+
+            assert.equal(res.body.total, fixture.length);
+            assert.deepEqual(res.body.resultados.map(({ CONCURSO }) => CONCURSO), fixture.slice(0, 5).map(({ CONCURSO }) => CONCURSO));
+            assert.equal(res.body.anterior, null);
+            assert.ok(res.body.siguiente);
+        });
+
+        it('recorre todas las páginas con el cursor', async () => {
+            const concursos = [];
+            let link = '/juegos/melate/concursos?limit=5&sort=bolsa&order=asc';
+            while (link) {
+                const res = await request(app).get(link).expect(200);
+                concursos.push(...res.body.resultados);
+                link = res.body.siguiente;
+            }
+
+            assert.equal(concursos.length, fixture.length);
+            const bolsas = concursos.map(({ BOLSA }) => BOLSA);
+            assert.deepEqual(bolsas, [...bolsas].sort((a, b) => a - b));
+        });
+
+        it('vuelve a la página anterior con el enlace anterior', async () => {
+            const first = await request(app).get('/juegos/melate/concursos?limit=4').expect(200);
+            const second = await request(app).get(first.body.siguiente).expect(200);
+            const back = await request(app).get(second.body.anterior).expect(200);
+
+            assert.deepEqual(second.body.resultados.map(({ CONCURSO }) => CONCURSO), fixture.slice(4, 8).map(({ CONCURSO }) => CONCURSO));
+            assert.deepEqual(back.body.resultados, first.body.resultados);
+            assert.equal(back.body.anterior, null);
+        });
+
+        it('rechaza un cursor inválido o de otro ordenamiento', async () => {
+            const first = await request(app).get('/juegos/melate/concursos?limit=4').expect(200);
+            const cursor = new URL(first.body.siguiente, 'http://localhost').searchParams.get('cursor');
+
+            await request(app).get('/juegos/melate/concursos?cursor=no-es-un-cursor').expect(400);
+            const res = await request(app).get(`/juegos/melate/concursos?cursor=${cursor}&sort=fecha`).expect(400);
+            assert.equal(res.body.detalles[0].campo, 'query.cursor');
+        });
+
+        it('usa el juego por defecto en las rutas de la raíz', async () => {
+            const res = await request(app).get('/concursos?limit=1').expect(200);
+
+            assert.equal(res.body.juego, games.getDefault().id);
+        });
+
+        it('rechaza parámetros inválidos o desconocidos', async () => {
+            await request(app).get('/juegos/melate/concursos?limit=0').expect(400);
+            await request(app).get('/juegos/melate/concursos?pagina=2').expect(400);
+        });
+
+        it('responde 404 para un juego desconocido', async () => {
+            const res = await request(app).get('/juegos/loteria/concursos').expect(404);
+
+            assert.match(res.body.error, /loteria/);
+        });
+    });
+
+    describe('GET /concursos/:id', () => {
+        it('obtiene un concurso por su número', async () => {
+            const res = await request(app).get(`/juegos/melate/concursos/${latest.CONCURSO}`).expect(200);
+
+            assert.equal(res.body.CONCURSO, latest.CONCURSO);
+            assert.equal(res.body.R1, latest.R1);
+        });
+
+        it('obtiene solo los campos solicitados', async () => {
+            const res = await request(app).get(`/juegos/melate/concursos/${latest.CONCURSO}?fields=concurso,fecha`).expect(200);
+
+            assert.deepEqual(Object.keys(res.body).sort(), ['CONCURSO', 'FECHA']);
+        });
+
+        it('responde 404 si el concurso no existe y 400 si el número no es válido', async () => {
+            await request(app).get('/juegos/melate/concursos/1').expect(404);
+            await request(app).get('/juegos/melate/concursos/abc').expect(400);
+        });
+    });
+
+    describe('GET /total-concursos', () => {
+        it('cuenta los concursos de cada juego', async () => {
+            const res = await request(app).get('/juegos/tris/total-concursos').expect(200);
+
+            assert.deepEqual(res.body, { total: readFixture(tris.fileName).length });
+        });
+    });
+
+    describe('POST /buscar-combinacion', () => {
+        it('cuenta los concursos en los que salieron juntos los números', async () => {
+            const numeros = [latest.R1, latest.R2, latest.R3];
+            const res = await request(app).post('/juegos/melate/buscar-combinacion').send({ numeros }).expect(200);
+
+            assert.deepEqual(res.body, { existe: true, frecuencia: await dbManager.findCombination(melate, numeros) });
+        });
+
+        it('valida los números contra el rango del juego', async () => {
+            const res = await request(app).post('/juegos/melate/buscar-combinacion').send({ numeros: [0, 57] }).expect(400);
+
+            assert.ok(res.body.error);
+        });
+    });
+
+    describe('GET /combinaciones', () => {
+        it('obtiene las combinaciones más frecuentes', async () => {
+            const res = await request(app).get('/juegos/melate/combinaciones?k=2&limit=3').expect(200);
+
+            assert.deepEqual(res.body, await dbManager.getFrequentCombinations(melate, 2, { limit: 3 }));
+        });
+    });
+
+    describe('POST /verificar-boleto', () => {
+        it('encuentra el premio mayor con los números del concurso', async () => {
+            const numeros = [latest.R1, latest.R2, latest.R3, latest.R4, latest.R5, latest.R6];
+            const res = await request(app).post('/juegos/melate/verificar-boleto').send({ numeros, concurso: latest.CONCURSO }).expect(200);
+
+            const [boleto] = res.body.boletos;
+            assert.equal(res.body.concursos, 1);
+            assert.equal(boleto.premiados, 1);
+            assert.equal(boleto.resultados[0].categoria, 'Primera');
+        });
+
+        it('responde 404 si no hay concursos en el rango', async () => {
+            const numeros = [1, 2, 3, 4, 5, 6];
+            await request(app).post('/juegos/melate/verificar-boleto').send({ numeros, concursos: { desde: 1, hasta: 10 } }).expect(404);
+        });
+
+        it('responde 400 en JSON si el cuerpo no es JSON válido', async () => {
+            const res = await request(app)
+                .post('/juegos/melate/verificar-boleto')
+                .set('Content-Type', 'application/json')
+                .send('{ "numeros": [1, 2, ')
+                .expect('Content-Type', /json/)
+                .expect(400);
+
+            assert.equal(res.body.error, 'Solicitud inválida');
+            assert.equal(res.body.detalles[0].campo, 'body');
+            assert.match(res.body.detalles[0].mensaje, /JSON/);
+            assert.doesNotMatch(res.text, /node_modules/);
+        });
+    });
+
+    describe('GET /estadisticas/numeros', () => {
+        it('calcula las estadísticas de cada número del rango', async () => {
+            const res = await request(app).get('/juegos/melate/estadisticas/numeros?ventana=5').expect(200);
+
+            assert.equal(res.body.concursos, fixture.length);
+            assert.equal(res.body.ventana, 5);
+            assert.equal(res.body.numeros.length, melate.maximo - melate.minimo + 1);
+            const total = res.body.numeros.reduce((sum, { frecuencia }) => sum + frecuencia, 0);
+            assert.equal(total, fixture.length * melate.bolas);
+        });
+
+        it('rechaza una ventana inválida', async () => {
+            await request(app).get('/juegos/melate/estadisticas/numeros?ventana=0').expect(400);
+        });
+    });
+
+    describe('GET /estadisticas/patrones', () => {
+        it('obtiene los histogramas de las métricas de distribución', async () => {
+            const res = await request(app).get('/juegos/melate/estadisticas/patrones?ancho=20').expect(200);
+
+            assert.equal(res.body.concursos, fixture.length);
+            assert.equal(res.body.ancho, 20);
+            assert.ok(res.body.histogramas);
+        });
+
+        it('rechaza un rango de fechas invertido', async () => {
+            await request(app).get('/juegos/melate/estadisticas/patrones?desde=2024-09-01&hasta=2024-01-01').expect(400);
+        });
+    });
+
+    describe('POST /estadisticas/patrones/boleto', () => {
+        it('compara el boleto con los histogramas', async () => {
+            const numeros = mainColumns(melate).map((column) => latest[column]);
+            const res = await request(app).post('/juegos/melate/estadisticas/patrones/boleto').send({ numeros }).expect(200);
+
+            assert.deepEqual(res.body.numeros, [...numeros].sort((a, b) => a - b));
+            assert.equal(typeof res.body.tipico, 'boolean');
+        });
+
+        it('valida los números del boleto', async () => {
+            await request(app).post('/juegos/melate/estadisticas/patrones/boleto').send({ numeros: [1, 2, 3] }).expect(400);
+        });
+    });
+
+    describe('GET /bolsa/serie', () => {
+        it('obtiene la bolsa de cada concurso, del más antiguo al más reciente', async () => {
+            const res = await request(app).get('/juegos/melate/bolsa/serie').expect(200);
+
+            const concursos = res.body.serie.map(({ concurso }) => concurso);
+            assert.equal(res.body.juego, 'melate');
+            assert.ok(concursos.length > 0);
+            assert.deepEqual(concursos, [...concursos].sort((a, b) => a - b));
+        });
+
+        it('rechaza una fecha inválida', async () => {
+            await request(app).get('/juegos/melate/bolsa/serie?desde=31/02/2024').expect(400);
+        });
+    });
+
+    describe('GET /bolsa/resumen', () => {
+        it('resume la bolsa y limita las mayores a top', async () => {
+            const res = await request(app).get('/juegos/melate/bolsa/resumen?top=3').expect(200);
+
+            assert.equal(res.body.mayores.length, 3);
+            const bolsas = res.body.mayores.map(({ bolsa }) => bolsa);
+            assert.deepEqual(bolsas, [...bolsas].sort((a, b) => b - a));
+        });
+
+        it('rechaza un top mayor al tamaño máximo de página', async () => {
+            await request(app).get('/juegos/melate/bolsa/resumen?top=100000').expect(400);
+        });
+    });
+
+    describe('GET /buscar', () => {
+        it('encuentra los concursos con los números indicados', async () => {
+            const numeros = [latest.R1, latest.R2];
+            const res = await request(app).get(`/juegos/melate/buscar?numeros=${numeros.join(',')}&limit=100`).expect(200);
+
+            assert.equal(res.body.total, await dbManager.findCombination(melate, numeros));
+            assert.ok(res.body.resultados.some(({ CONCURSO }) => CONCURSO === latest.CONCURSO));
+            assert.ok(res.body.resultados.every(({ aciertos }) => aciertos.length === numeros.length));
+        });
+
+        it('exige al menos un criterio', async () => {
+            const res = await request(app).get('/juegos/melate/buscar').expect(400);
+
+            assert.equal(res.body.detalles[0].campo, 'query');
+        });
+    });
+
+    describe('POST /backtest', () => {
+        it('juega una estrategia sobre la serie histórica', async () => {
+            const boletos = [mainColumns(melate).map((column) => latest[column])];
+            const res = await request(app).post('/juegos/melate/backtest').send({ estrategia: { tipo: 'fijos', boletos } }).expect(200);
+
+            assert.equal(res.body.concursos, fixture.length);
+            assert.equal(res.body.boletosJugados, fixture.length);
+            assert.ok(res.body.concursosPremiados >= 1);
+        });
+
+        it('rechaza una estrategia desconocida', async () => {
+            await request(app).post('/juegos/melate/backtest').send({ estrategia: { tipo: 'azar' } }).expect(400);
+        });
+    });
+
+    describe('GET /exportar', () => {
+        it('exporta los concursos en CSV', async () => {
+            const res = await request(app).get('/juegos/melate/exportar/concursos?formato=csv').expect(200);
+
+            assert.match(res.headers['content-type'], /^text\/csv/);
+            assert.match(res.headers['content-disposition'], /melate_concursos\.csv/);
+            const [header, ...lines] = res.text.trim().split(/\r?\n/);
+            assert.deepEqual(header.split(','), drawColumns(melate));
+            assert.equal(lines.length, fixture.length);
+        });
+
+        it('exporta las estadísticas por número en XLSX', async () => {
+            const res = await request(app)
+                .get('/juegos/melate/exportar/estadisticas/numeros?formato=xlsx')
+                .buffer(true)
+                .parse(binaryParser)
+                .expect(200);
+
+            assert.match(res.headers['content-type'], /spreadsheetml/);
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(res.body);
+            const [sheet] = workbook.worksheets;
+            // Encabezado, números naturales y bola adicional
+            assert.equal(sheet.rowCount, 1 + 2 * (melate.maximo - melate.minimo + 1));
+        });
+
+        it('exporta las combinaciones en NDJSON', async () => {
+            const res = await request(app).get('/juegos/melate/exportar/combinaciones?k=2&limit=5&formato=ndjson').expect(200);
+
+            const rows = res.text.trim().split('\n').map((line) => JSON.parse(line));
+            assert.deepEqual(rows, await dbManager.getFrequentCombinations(melate, 2, { limit: 5 }));
+        });
+
+        it('rechaza un formato desconocido', async () => {
+            await request(app).get('/juegos/melate/exportar/concursos?formato=pdf').expect(400);
+        });
+    });
+
+    describe('rutas de administración', () => {
+        const token = 'token-de-prueba';
+
+        before(() => {
+            process.env.ADMIN_TOKEN = token;
+        });
+
+        after(() => {
+            delete process.env.ADMIN_TOKEN;
+        });
+
+        it('requieren el token de administración', async () => {
+            await request(app).post('/admin/juegos/melate/rollback').expect(401);
+            await request(app).post('/admin/juegos/melate/rollback').set('Authorization', 'Bearer otro-token').expect(401);
+        });
+
+        it('responden con el formato de validación si no pueden leer el CSV', async () => {
+            const res = await request(app)
+                .post('/admin/juegos/melate/upload')
+                .set('Authorization', `Bearer ${token}`)
+                .set('Content-Type', 'text/csv')
+                .set('Content-Encoding', 'compress')
+                .send('CONCURSO\n')
+                .expect('Content-Type', /json/)
+                .expect(415);
+
+            assert.deepEqual(res.body.detalles.map(({ campo }) => campo), ['body']);
+            assert.match(res.body.detalles[0].mensaje, /compress/);
+        });
+
+        it('cargan un CSV y la API sirve los concursos nuevos', async () => {
+            const csv = `${fs.readFileSync(path.join(FIXTURES_DIRECTORY, melate.fileName), 'utf8').split('\n')[0]}\n`
+                + `${latest.CONCURSO + 1},40,1,2,3,4,5,6,7,160000000,25/09/2024\n`;
+            const res = await request(app)
+                .post('/admin/juegos/melate/upload')
+                .set('Authorization', `Bearer ${token}`)
+                .set('Content-Type', 'text/csv')
+                .send(csv)
+                .expect(200);
+
+            assert.equal(res.body.insertados, 1);
+            const ultimo = await request(app).get('/juegos/melate/concursos/ultimo').expect(200);
+            assert.equal(ultimo.body.CONCURSO, latest.CONCURSO + 1);
+            assert.equal(ultimo.body.FECHA, '2024-09-25');
+        });
+
+        it('sincronizan un juego desde su fuente', async () => {
+            const res = await request(app)
+                .post('/admin/juegos/tris/sync')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ modo: 'insertNewOnly' })
+                .expect(200);
+
+            assert.equal(res.body.juego, 'tris');
+            assert.equal(res.body.modo, 'insertNewOnly');
+            assert.equal(res.body.insertados, 0);
+        });
+
+        it('rechazan un modo de sincronización desconocido', async () => {
+            const res = await request(app)
+                .post('/admin/juegos/tris/sync')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ modo: 'todo' })
+                .expect(400);
+
+            assert.equal(res.body.detalles[0].campo, 'body.modo');
+        });
+    });
+
+    describe('GET /sync/status', () => {
+        it('lista el historial de sincronizaciones del juego', async () => {
+            const res = await request(app).get('/sync/status?juego=tris&limit=5').expect(200);
+
+            assert.equal(res.body.enCurso, null);
+            assert.ok(res.body.historial.length >= 1);
+            assert.ok(res.body.historial.every(({ JUEGO }) => JUEGO === 'tris'));
+        });
+
+        it('rechaza un juego desconocido', async () => {
+            await request(app).get('/sync/status?juego=loteria').expect(400);
+        });
+    });
+
+    describe('index.mjs', () => {
+        it('se puede importar sin iniciar el servicio', async () => {
+            const listeners = process.listenerCount('SIGTERM');
+            const { start } = await import('../src/scripts/index.mjs');
+
+            assert.equal(typeof start, 'function');
+            assert.equal(process.listenerCount('SIGTERM'), listeners);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, ConfigError, CONFIG_PATH } from '../src/scripts/config.mjs';
+import { createTempDirectory } from './helpers.mjs';
+
+describe('config', () => {
+    let directory;
+    let base;
+
+    // Escribe una variante de la configuración del proyecto y devuelve su ruta
+    function writeConfig(change) {
+        const config = structuredClone(base);
+        change(config);
+        const configPath = path.join(directory, `config_${Date.now()}_${Math.random().toString(36).slice(2)}.json`);
+        fs.writeFileSync(configPath, JSON.stringify(config));
+        return configPath;
+    }
+
+    // Obtiene el ConfigError de una carga que debe fallar
+    function loadError(options) {
+        try {
+            loadConfig(options);
+        } catch (error) {
+            assert.ok(error instanceof ConfigError, error.message);
+            return error;
+        }
+        assert.fail('La configuración debía ser inválida');
+    }
+
+    before(() => {
+        directory = createTempDirectory();
+        base = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('carga y valida la configuración del proyecto', () => {
+        const config = loadConfig({ environment: {} });
+
+        assert.equal(config.env, 'development');
+        assert.equal(config.databasePath, base.databasePath);
+        assert.deepEqual(Object.keys(config.juegos), Object.keys(base.juegos));
+    });
+
+    describe('entorno', () => {
+        it('se elige con NODE_ENV', () => {
+            assert.equal(loadConfig({ environment: { NODE_ENV: 'production' } }).env, 'production');
+            assert.equal(loadConfig({ environment: { NODE_ENV: 'test' } }).env, 'testing');
+        });
+
+        it('el archivo no lo elige', () => {
+            const error = loadError({ configPath: writeConfig((config) => { config.env = 'production'; }), environment: {} });
+
+            assert.deepEqual(error.errores.map(({ campo }) => campo), ['env']);
+            assert.match(error.message, /NODE_ENV/);
+        });
+
+        it('rechaza un NODE_ENV desconocido', () => {
+            const error = loadError({ environment: { NODE_ENV: 'staging' } });
+
+            assert.deepEqual(error.errores.map(({ campo }) => campo), ['NODE_ENV']);
+        });
+    });
+
+    describe('variables de entorno', () => {
+        it('reemplazan los valores del archivo', () => {
+            const config = loadConfig({
+                environment: {
+                    LOTTERIES_DB_PATH: '/var/data/lotteries.db',
+                    LOTTERIES_OPERATION_MODE: 'reloadAll',
+                    LOTTERIES_MAX_PAGE_SIZE: '250',
+                    LOTTERIES_URL: 'https://espejo.example.com/melate.csv',
+                    LOTTERIES_URL_TRIS: 'https://espejo.example.com/tris.csv'
+                }
+            });
+
+            assert.equal(config.databasePath, '/var/data/lotteries.db');
+            assert.equal(config.operationMode, 'reloadAll');
+            assert.equal(config.maxPageSize, 250);
+            assert.equal(config.juegos[base.defaultGame].url, 'https://espejo.example.com/melate.csv');
+            assert.equal(config.juegos.tris.url, 'https://espejo.example.com/tris.csv');
+        });
+
+        it('se validan e identifican en los errores', () => {
+            const error = loadError({ environment: { LOTTERIES_MAX_PAGE_SIZE: 'cien', LOTTERIES_OPERATION_MODE: 'todo' } });
+
+            assert.deepEqual(error.errores.map(({ campo }) => campo).sort(), [
+                'maxPageSize (LOTTERIES_MAX_PAGE_SIZE)',
+                'operationMode (LOTTERIES_OPERATION_MODE)'
+            ]);
+        });
+
+        it('LOTTERIES_CONFIG indica otro archivo', () => {
+            const configPath = writeConfig((config) => { config.maxPageSize = 7; });
+
+            assert.equal(loadConfig({ environment: { LOTTERIES_CONFIG: configPath } }).maxPageSize, 7);
+        });
+    });
+
+    describe('esquema', () => {
+        it('reporta todos los problemas a la vez', () => {
+            const configPath = writeConfig((config) => {
+                delete config.databasePath;
+                config.descargas.reintentos = -1;
+                config.sync.alIniciar = 'sí';
+                config.juegos.melate.url = 'ftp://loteria';
+            });
+            const error = loadError({ configPath, environment: {} });
+
+            assert.deepEqual(error.errores.map(({ campo }) => campo).sort(), [
+                'databasePath',
+                'descargas.reintentos',
+                'juegos.melate.url',
+                'sync.alIniciar'
+            ]);
+            assert.match(error.message, /databasePath: es requerido/);
+        });
+
+        it('valida la sección del entorno elegido', () => {
+            const configPath = writeConfig((config) => { config.production.consoleLogLevel = 'todo'; });
+            const error = loadError({ configPath, environment: { NODE_ENV: 'production' } });
+
+            assert.deepEqual(error.errores.map(({ campo }) => campo), ['production.consoleLogLevel']);
+        });
+
+        it('rechaza en el esquema los premios y precios que el registro de juegos no acepta', () => {
+            const configPath = writeConfig((config) => {
+                config.juegos.melate.premios[0].aciertos = 0;
+                config.juegos.melate.precioBoleto = 0;
+            });
+            const error = loadError({ configPath, environment: {} });
+
+            assert.deepEqual(error.errores.map(({ campo }) => campo).sort(), [
+                'juegos.melate.precioBoleto',
+                'juegos.melate.premios[0].aciertos'
+            ]);
+        });
+
+        it('valida la coherencia de los juegos', () => {
+            const configPath = writeConfig((config) => { config.defaultGame = 'loteria'; });
+            const error = loadError({ configPath, environment: {} });
+
+            assert.deepEqual(error.errores.map(({ campo }) => campo), ['juegos']);
+            assert.match(error.message, /loteria/);
+        });
+
+        it('rechaza un archivo que no es JSON', () => {
+            const configPath = path.join(directory, 'invalido.json');
+            fs.writeFileSync(configPath, '{ "env": ');
+
+            assert.match(loadError({ configPath, environment: {} }).message, /invalido\.json/);
+        });
+    });
+});
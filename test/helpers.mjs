@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../src/scripts/logger.mjs';
+import GameRegistry from '../src/scripts/GameRegistry.mjs';
+import DBManager from '../src/scripts/DBManager.mjs';
+import { loadConfig } from '../src/scripts/config.mjs';
+
+// Utilidades compartidas por las pruebas. Se ejecutan desde la raíz del proyecto (npm test), igual que el servicio.
+
+// Los logs de las operaciones probadas no se muestran ni se escriben
+logger.silent = true;
+
+export const FIXTURES_DIRECTORY = './src/fixtures';
+
+// Cada llamada lee una copia nueva de la configuración, que la prueba puede modificar
+export { loadConfig };
+
+/**
+ * Registro de los juegos configurados.
+ * @returns {GameRegistry}
+ */
+export function loadGames() {
+    const config = loadConfig();
+    return new GameRegistry(config.juegos, config.defaultGame);
+}
+
+/**
+ * Crea un directorio temporal; la prueba lo elimina al terminar.
+ * @returns {string} - Ruta del directorio.
+ */
+export function createTempDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'lotteries-test-'));
+}
+
+/**
+ * Crea un DBManager sobre una base de datos nueva en el directorio indicado.
+ * @param {string} directory - Directorio temporal.
+ * @param {GameRegistry} games - Registro de juegos.
+ * @returns {DBManager}
+ */
+export function createTempDatabase(directory, games) {
+    return new DBManager(path.join(directory, 'lotteries.db'), { games: games.list() });
+}
+
+/**
+ * Lee un CSV de fixtures como filas { columna: valor }, con los números ya convertidos.
+ * @param {string} fileName - Nombre del archivo en src/fixtures.
+ * @returns {Array<Object>}
+ */
+export function readFixture(fileName) {
+    const [header, ...lines] = fs.readFileSync(path.join(FIXTURES_DIRECTORY, fileName), 'utf8').trim().split('\n');
+    const columns = header.split(',');
+    return lines.map((line) => Object.fromEntries(line.split(',').map((value, i) => [
+        columns[i],
+        columns[i] === 'FECHA' || value === '' ? value : Number(value)
+    ])));
+}
+
+/**
+ * Escribe un CSV con el encabezado y las filas indicadas.
+ * @param {string} filePath - Ruta del archivo.
+ * @param {Array<Object>} rows - Filas; el encabezado son las claves de la primera.
+ * @returns {string} - La misma ruta.
+ */
+export function writeCsv(filePath, rows) {
+    const columns = Object.keys(rows[0]);
+    const lines = rows.map((row) => columns.map((column) => row[column] ?? '').join(','));
+    fs.writeFileSync(filePath, `${[columns.join(','), ...lines].join('\n')}\n`);
+    return filePath;
+}
@@ -0,0 +1,212 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import { createApp } from '../src/scripts/app.mjs';
+import DBManager from '../src/scripts/DBManager.mjs';
+import FileManager from '../src/scripts/FileManager.mjs';
+import SyncManager from '../src/scripts/SyncManager.mjs';
+import { MetricsRegistry } from '../src/scripts/metrics.mjs';
+import { FIXTURES_DIRECTORY, loadConfig, loadGames, createTempDirectory, createTempDatabase, readFixture } from './helpers.mjs';
+
+const games = loadGames();
+const melate = games.get('melate');
+const tris = games.get('tris');
+
+// Valor de una serie en el texto de /metrics, p. ej. sample(text, 'lotteries_concursos{juego="melate"}')
+function sample(text, series) {
+    const line = text.split('\n').find((candidate) => candidate.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('métricas', () => {
+    it('escriben contadores, indicadores e histogramas en el formato de Prometheus', () => {
+        const registry = new MetricsRegistry();
+        const counter = registry.counter('prueba_total', 'Contador de prueba.', ['ruta']);
+        const gauge = registry.gauge('prueba_valor', 'Indicador de prueba.');
+        const histogram = registry.histogram('prueba_segundos', 'Histograma de prueba.', ['ruta'], [0.1, 1]);
+
+        counter.inc({ ruta: '/a' });
+        counter.inc({ ruta: '/a' }, 2);
+        counter.inc({ ruta: 'con "comillas"' });
+        gauge.set({}, 7);
+        histogram.observe({ ruta: '/a' }, 0.05);
+        histogram.observe({ ruta: '/a' }, 0.5);
+        histogram.observe({ ruta: '/a' }, 3);
+
+        assert.equal(registry.render(), [
+            '# HELP prueba_total Contador de prueba.',
+            '# TYPE prueba_total counter',
+            'prueba_total{ruta="/a"} 3',
+            'prueba_total{ruta="con \\"comillas\\""} 1',
+            '# HELP prueba_valor Indicador de prueba.',
+            '# TYPE prueba_valor gauge',
+            'prueba_valor 7',
+            '# HELP prueba_segundos Histograma de prueba.',
+            '# TYPE prueba_segundos histogram',
+            'prueba_segundos_bucket{ruta="/a",le="0.1"} 1',
+            'prueba_segundos_bucket{ruta="/a",le="1"} 2',
+            'prueba_segundos_bucket{ruta="/a",le="+Inf"} 3',
+            'prueba_segundos_sum{ruta="/a"} 3.55',
+            'prueba_segundos_count{ruta="/a"} 3',
+            ''
+        ].join('\n'));
+        assert.throws(() => counter.inc({ ruta: '/a' }, -1));
+        assert.throws(() => registry.counter('prueba_total', 'Duplicado.'), /duplicada/);
+    });
+});
+
+describe('observabilidad de la API', () => {
+    let directory;
+    let dbManager;
+    let syncManager;
+    let config;
+
+    before(async () => {
+        directory = createTempDirectory();
+        config = { ...loadConfig(), saveDirectory: path.join(directory, 'data'), salud: { maxEdadSincronizacion: 3600 } };
+
+        dbManager = createTempDatabase(directory, games);
+        await dbManager.connect();
+        await dbManager.createTableIfNotExists(melate);
+        await dbManager.insertNewRecordsOnly(melate, path.join(FIXTURES_DIRECTORY, melate.fileName));
+        syncManager = new SyncManager({
+            dbManager: new DBManager(dbManager.databasePath, { games: games.list() }),
+            fileManager: new FileManager(),
+            saveDirectory: config.saveDirectory,
+            operationMode: 'insertNewOnly'
+        });
+    });
+
+    after(async () => {
+        await dbManager.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('identificador de petición', () => {
+        it('se genera si no se recibe y se devuelve en X-Request-Id', async () => {
+            const app = createApp({ config, dbManager });
+            const first = await request(app).get('/health').expect(200);
+            const second = await request(app).get('/health').expect(200);
+
+            assert.match(first.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+            assert.notEqual(first.headers['x-request-id'], second.headers['x-request-id']);
+        });
+
+        it('conserva el recibido si es válido', async () => {
+            const app = createApp({ config, dbManager });
+            const received = await request(app).get('/health').set('X-Request-Id', 'proxy-1234').expect(200);
+            const invalid = await request(app).get('/health').set('X-Request-Id', 'no válido').expect(200);
+
+            assert.equal(received.headers['x-request-id'], 'proxy-1234');
+            assert.notEqual(invalid.headers['x-request-id'], 'no válido');
+        });
+    });
+
+    describe('GET /health', () => {
+        it('responde mientras el proceso está vivo', async () => {
+            const res = await request(createApp({ config, dbManager })).get('/health').expect(200);
+
+            assert.equal(res.body.estado, 'ok');
+        });
+    });
+
+    describe('GET /ready', () => {
+        it('no está listo sin sincronizaciones exitosas', async () => {
+            const res = await request(createApp({ config, dbManager })).get('/ready').expect(503);
+
+            assert.equal(res.body.listo, false);
+            assert.equal(res.body.baseDeDatos.conectada, true);
+            assert.equal(res.body.sincronizacion.edadSegundos, null);
+        });
+
+        it('informa la antigüedad de la última sincronización exitosa', async () => {
+            await syncManager.runSync(tris, { filePath: path.join(FIXTURES_DIRECTORY, tris.fileName) });
+            const res = await request(createApp({ config, dbManager })).get('/ready').expect(200);
+
+            assert.equal(res.body.listo, true);
+            assert.ok(res.body.sincronizacion.edadSegundos <= 5);
+            const juegos = Object.fromEntries(res.body.sincronizacion.juegos.map((juego) => [juego.juego, juego]));
+            assert.ok(juegos.tris.fin);
+            assert.equal(juegos.melate.fin, null);
+        });
+
+        it('no está listo si la última sincronización es demasiado antigua', async () => {
+            await dbManager.executeQuery("UPDATE SyncHistory SET FIN = '2020-01-01T00:00:00.000Z'");
+            try {
+                const res = await request(createApp({ config, dbManager })).get('/ready').expect(503);
+
+                assert.match(res.body.motivo, /segundos/);
+                assert.ok(res.body.sincronizacion.edadSegundos > config.salud.maxEdadSincronizacion);
+            } finally {
+                await dbManager.executeQuery('UPDATE SyncHistory SET FIN = INICIO');
+            }
+        });
+
+        it('solo informa la antigüedad si no hay un máximo configurado', async () => {
+            await dbManager.executeQuery("UPDATE SyncHistory SET FIN = '2020-01-01T00:00:00.000Z'");
+            try {
+                const res = await request(createApp({ config: { ...config, salud: {} }, dbManager })).get('/ready').expect(200);
+
+                assert.equal(res.body.sincronizacion.maxEdadSegundos, null);
+            } finally {
+                await dbManager.executeQuery('UPDATE SyncHistory SET FIN = INICIO');
+            }
+        });
+
+        it('no crea la tabla SyncHistory en una base de datos sin migrar', async () => {
+            const unmigrated = new DBManager(path.join(directory, 'sin_migrar.db'), { games: games.list(), autoMigrate: false });
+            await unmigrated.connect();
+            try {
+                const app = createApp({ config, dbManager: unmigrated });
+                const ready = await request(app).get('/ready').expect(503);
+                await request(app).get('/metrics').expect(200);
+                const status = await request(app).get('/sync/status').expect(200);
+
+                assert.equal(ready.body.motivo, 'No hay sincronizaciones exitosas');
+                assert.ok(ready.body.sincronizacion.juegos.every(({ fin }) => fin === null));
+                assert.deepEqual(status.body.historial, []);
+                assert.equal(await unmigrated.syncHistoryExists(), false);
+            } finally {
+                await unmigrated.close();
+            }
+        });
+
+        it('no está listo si la base de datos no está conectada', async () => {
+            const closed = new DBManager(dbManager.databasePath, { games: games.list() });
+            const res = await request(createApp({ config, dbManager: closed })).get('/ready').expect(503);
+
+            assert.deepEqual(res.body.baseDeDatos, { conectada: false });
+        });
+    });
+
+    describe('GET /metrics', () => {
+        it('publica las peticiones por ruta, las sincronizaciones y los concursos almacenados', async () => {
+            const app = createApp({ config, dbManager });
+            const route = '/juegos/:juego/concursos/:id';
+            const before = await request(app).get('/metrics').expect(200);
+            const count = (text, status) => sample(text, `lotteries_http_requests_total{method="GET",route="${route}",status="${status}"}`) ?? 0;
+
+            const [latest] = readFixture(melate.fileName);
+            await request(app).get(`/juegos/melate/concursos/${latest.CONCURSO}`).expect(200);
+            await request(app).get(`/juegos/tris/concursos/${latest.CONCURSO}`).expect(404);
+            await request(app).get('/juegos/melate/concursos/abc').expect(400);
+            await request(app).get('/no-existe').expect(404);
+            const res = await request(app).get('/metrics').expect(200);
+
+            assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+            assert.equal(count(res.text, 200) - count(before.text, 200), 1);
+            assert.equal(count(res.text, 404) - count(before.text, 404), 1);
+            assert.equal(count(res.text, 400) - count(before.text, 400), 1);
+            assert.ok(sample(res.text, 'lotteries_http_requests_total{method="GET",route="desconocida",status="404"}') >= 1);
+            assert.ok(sample(res.text, `lotteries_http_request_duration_seconds_count{method="GET",route="${route}"}`) >= 3);
+
+            assert.equal(sample(res.text, 'lotteries_concursos{juego="melate"}'), readFixture(melate.fileName).length);
+            assert.equal(sample(res.text, 'lotteries_concursos{juego="tris"}'), readFixture(tris.fileName).length);
+            assert.ok(sample(res.text, 'lotteries_sync_duration_seconds_count{juego="tris",modo="insertNewOnly",estado="exitoso"}') >= 1);
+            assert.ok(sample(res.text, 'lotteries_sync_rows_total{juego="tris",tipo="insertados"}') >= readFixture(tris.fileName).length);
+            assert.ok(sample(res.text, 'lotteries_last_successful_sync_timestamp_seconds{juego="tris"}') > 0);
+        });
+    });
+});